@@ -0,0 +1,419 @@
+// ==========================================================================
+// ANALYTICS (PRIVACY-FRIENDLY)
+// ==========================================================================
+
+/**
+ * Counts which parts of the portfolio visitors actually look at, from the
+ * portfolio:* events (see events.js).
+ *
+ * 🎓 PRIVACY FIRST:
+ * - No cookies, no visitor ids, no fingerprinting: an event is only its
+ *   type, a timestamp and the plain values of its detail (which section,
+ *   which project, which theme)
+ * - Nothing is recorded when the browser sends Do Not Track or Global
+ *   Privacy Control
+ *
+ * 📐 WHERE EVENTS GO (batched: every 20 events, after 10 s of quiet and
+ * when the page is hidden or closed):
+ * - An endpoint is configured → POSTed there with navigator.sendBeacon,
+ *   which still delivers when the tab is closing
+ *     <meta name="analytics-endpoint" content="https://example.com/collect" />
+ * - No endpoint → kept in this browser's localStorage (the last 500), and
+ *   open the page with `?stats` to see them summed up in a small overlay
+ *
+ * 📐 PAYLOAD (one JSON object per batch):
+ *   { page: "/", language: "en", events: [
+ *     { type: "modal-open", time: 1760000000000,
+ *       data: { modal: "lightbox", category: "comic", project: "volkov", … } }
+ *   ] }
+ */
+class Analytics {
+  static STORAGE_KEY = "portfolio-analytics";
+  static MAX_STORED = 500;
+  static BATCH_SIZE = 20;
+  static FLUSH_DELAY = 10000;
+  /** After a refused beacon (offline…), wait this long before retrying. */
+  static RETRY_DELAY = 30000;
+  static STATS_PARAM = "stats";
+
+  /**
+   * Has the visitor asked not to be tracked?
+   *
+   * @returns {boolean}
+   */
+  static isOptedOut() {
+    return (
+      navigator.doNotTrack === "1" ||
+      window.doNotTrack === "1" ||
+      navigator.globalPrivacyControl === true
+    );
+  }
+
+  /**
+   * Options from the page: `<meta name="analytics-endpoint" content="…">`.
+   *
+   * @returns {{endpoint: string|null}}
+   */
+  static readConfig() {
+    const meta = document.querySelector('meta[name="analytics-endpoint"]');
+    return { endpoint: meta?.content.trim() || null };
+  }
+
+  /**
+   * @param {object} [options]
+   * @param {string|null} [options.endpoint] - Where sendBeacon posts the
+   *   batches; null keeps them in localStorage
+   */
+  constructor({ endpoint = null } = {}) {
+    this.endpoint = endpoint;
+    this.enabled = !Analytics.isOptedOut();
+    this.queue = [];
+    this.session = []; // Everything recorded during this visit
+    this.flushTimer = null;
+    this.isRetrying = false; // A beacon was refused: wait for the timer
+    this.onChange = null; // Set by the stats overlay
+
+    this.listeners = new AbortController();
+    if (this.enabled) this.bindEvents();
+  }
+
+  /** "beacon" or "local" */
+  get mode() {
+    return this.endpoint ? "beacon" : "local";
+  }
+
+  bindEvents() {
+    const { signal } = this.listeners;
+
+    Object.values(PORTFOLIO_EVENTS).forEach((type) => {
+      document.addEventListener(type, (e) => this.record(type, e.detail), {
+        signal,
+      });
+    });
+
+    // 🎯 The last chance to send: hidden tabs may never come back.
+    // (pagehide covers browsers that skip visibilitychange on close.)
+    document.addEventListener(
+      "visibilitychange",
+      () => {
+        if (document.visibilityState === "hidden") this.flush();
+      },
+      { signal }
+    );
+    window.addEventListener("pagehide", () => this.flush(), { signal });
+  }
+
+  /**
+   * Queue one event.
+   *
+   * @param {string} type - A PORTFOLIO_EVENTS value
+   * @param {object} [detail]
+   */
+  record(type, detail = {}) {
+    if (!this.enabled) return;
+
+    const entry = {
+      type: type.replace(/^portfolio:/, ""),
+      time: Date.now(),
+      data: Analytics.plain(detail),
+    };
+    this.queue.push(entry);
+    // Only grows while beacons are refused: drop the oldest, as write() does
+    if (this.queue.length > Analytics.MAX_STORED) this.queue.shift();
+    this.session.push(entry);
+
+    // While retrying, the retry timer stays: each new event would only be
+    // refused again
+    if (!this.isRetrying) {
+      clearTimeout(this.flushTimer);
+      if (this.queue.length >= Analytics.BATCH_SIZE) {
+        this.flush();
+      } else {
+        this.flushTimer = setTimeout(() => this.flush(), Analytics.FLUSH_DELAY);
+      }
+    }
+    this.onChange?.();
+  }
+
+  /**
+   * Keep strings, numbers, booleans and nested plain objects; anything
+   * else (elements, functions) never leaves the page.
+   *
+   * @param {object} detail
+   * @returns {object}
+   */
+  static plain(detail) {
+    const result = {};
+    Object.entries(detail || {}).forEach(([key, value]) => {
+      if (
+        value === null ||
+        ["string", "number", "boolean"].includes(typeof value)
+      ) {
+        result[key] = value;
+      } else if (Object.getPrototypeOf(value) === Object.prototype) {
+        result[key] = Analytics.plain(value);
+      }
+    });
+    return result;
+  }
+
+  /** Send (or store) everything queued so far. */
+  flush() {
+    clearTimeout(this.flushTimer);
+    if (this.queue.length === 0) return;
+
+    const events = this.queue;
+    this.queue = [];
+
+    if (this.mode === "beacon") {
+      this.isRetrying = false;
+
+      // 🎯 Batches of BATCH_SIZE stay far below the beacon size limit
+      // (about 64 KB), however many events piled up meanwhile
+      for (let i = 0; i < events.length; i += Analytics.BATCH_SIZE) {
+        if (this.send(events.slice(i, i + Analytics.BATCH_SIZE))) continue;
+
+        // Not accepted (offline…): keep the rest, the oldest dropped past
+        // MAX_STORED as write() does, and try again later
+        this.queue = events
+          .slice(i)
+          .concat(this.queue)
+          .slice(-Analytics.MAX_STORED);
+        this.isRetrying = true;
+        this.flushTimer = setTimeout(() => this.flush(), Analytics.RETRY_DELAY);
+        break;
+      }
+    } else {
+      this.write(this.read().concat(events));
+    }
+    this.onChange?.();
+  }
+
+  /**
+   * POST one batch to the endpoint.
+   *
+   * @param {object[]} events
+   * @returns {boolean} false when the browser refused to queue it
+   */
+  send(events) {
+    // ⚠️ A text/plain body keeps the request "simple" (no CORS preflight,
+    // which sendBeacon cannot do); the server parses the JSON
+    return Boolean(
+      navigator.sendBeacon?.(
+        this.endpoint,
+        JSON.stringify({
+          page: location.pathname,
+          language: document.documentElement.lang,
+          events,
+        })
+      )
+    );
+  }
+
+  /** @returns {object[]} events stored in this browser */
+  read() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(Analytics.STORAGE_KEY));
+      return Array.isArray(stored) ? stored : [];
+    } catch {
+      return [];
+    }
+  }
+
+  write(events) {
+    try {
+      localStorage.setItem(
+        Analytics.STORAGE_KEY,
+        JSON.stringify(events.slice(-Analytics.MAX_STORED))
+      );
+    } catch {
+      // Storage full or disabled: these events are lost, the page is fine
+    }
+  }
+
+  /** Forget every stored event (and this visit's). */
+  clear() {
+    this.queue = [];
+    this.session = [];
+    try {
+      localStorage.removeItem(Analytics.STORAGE_KEY);
+    } catch {
+      // Nothing stored
+    }
+    this.onChange?.();
+  }
+
+  /**
+   * The events the stats overlay sums up: everything stored in local mode
+   * (plus the batch not written yet), this visit's events in beacon mode.
+   *
+   * @returns {object[]}
+   */
+  getEvents() {
+    return this.mode === "local"
+      ? this.read().concat(this.queue)
+      : this.session;
+  }
+
+  /**
+   * Counts per section, project, carousel and theme.
+   *
+   * @param {object[]} events
+   * @returns {{total: number, sections: Map, projects: Map, slides: Map,
+   *   themes: Map}} Each Map: name → count, most frequent first
+   */
+  static summarize(events) {
+    const count = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+    const sections = new Map();
+    const projects = new Map();
+    const slides = new Map();
+    const themes = new Map();
+
+    events.forEach(({ type, data = {} }) => {
+      if (type === "section-view") count(sections, data.section);
+      if (type === "modal-open") {
+        count(projects, `${data.category}/${data.project}`);
+      }
+      // Programmatic jumps (the carousel following the lightbox) are not
+      // something the visitor did
+      if (type === "slide-change" && data.animated) {
+        count(slides, data.category);
+      }
+      if (type === "theme-change") count(themes, data.mode);
+    });
+
+    const sorted = (map) => new Map([...map].sort((a, b) => b[1] - a[1]));
+    return {
+      total: events.length,
+      sections: sorted(sections),
+      projects: sorted(projects),
+      slides: sorted(slides),
+      themes: sorted(themes),
+    };
+  }
+
+  /** Send what is left, then stop listening. */
+  destroy() {
+    this.flush();
+    clearTimeout(this.flushTimer); // No retry once stopped
+    this.listeners.abort();
+    this.onChange = null;
+  }
+}
+
+// ==========================================================================
+// STATS OVERLAY (?stats)
+// ==========================================================================
+
+/**
+ * Small panel summing up the analytics events, for the site owner.
+ *
+ * 📐 EXPECTED MARKUP: see `.stats-overlay` in index.html. Each list is a
+ * `[data-stats-list]` named after a key of Analytics.summarize().
+ */
+class StatsOverlay {
+  /** Rows shown per list. */
+  static LIMIT = 8;
+
+  /** Only when the page was opened with ?stats */
+  static isRequested() {
+    return new URLSearchParams(location.search).has(Analytics.STATS_PARAM);
+  }
+
+  /**
+   * @param {HTMLElement} root - The `.stats-overlay` element
+   * @param {Analytics} analytics
+   */
+  constructor(root, analytics) {
+    this.root = root;
+    this.analytics = analytics;
+    this.note = root.querySelector(".stats-note");
+    this.clearButton = root.querySelector(".stats-clear");
+
+    this.listeners = new AbortController();
+    this.bindEvents();
+
+    analytics.onChange = () => this.render();
+    root.hidden = false;
+    this.render();
+  }
+
+  bindEvents() {
+    const { signal } = this.listeners;
+
+    this.root.addEventListener(
+      "click",
+      (e) => {
+        if (e.target.closest(".stats-close")) this.root.hidden = true;
+        if (e.target.closest(".stats-clear")) this.analytics.clear();
+      },
+      { signal }
+    );
+
+    document.addEventListener("i18n:change", () => this.render(), {
+      signal,
+    });
+  }
+
+  render() {
+    const { analytics } = this;
+    const summary = Analytics.summarize(analytics.getEvents());
+
+    if (!analytics.enabled) {
+      this.note.textContent = t(
+        "stats.optedOut",
+        "Not recording: this browser asks not to be tracked."
+      );
+    } else if (analytics.mode === "beacon") {
+      this.note.textContent = t(
+        "stats.beacon",
+        "{count} events this visit, sent to {endpoint}",
+        { count: summary.total, endpoint: analytics.endpoint }
+      );
+    } else {
+      this.note.textContent = t(
+        "stats.local",
+        "{count} events, stored in this browser only",
+        { count: summary.total }
+      );
+    }
+    // Clearing only makes sense for what this browser keeps
+    this.clearButton.hidden = analytics.mode !== "local";
+
+    const locale = document.documentElement.lang || undefined;
+    this.root.querySelectorAll("[data-stats-list]").forEach((list) => {
+      const rows = [...(summary[list.dataset.statsList] || [])].slice(
+        0,
+        StatsOverlay.LIMIT
+      );
+
+      list.replaceChildren(
+        ...(rows.length
+          ? rows.map(([name, count]) =>
+              createElement("li", {}, [
+                createElement("span", {
+                  className: "stats-name",
+                  text: String(name),
+                }),
+                createElement("span", {
+                  className: "stats-count",
+                  text: count.toLocaleString(locale),
+                }),
+              ])
+            )
+          : [
+              createElement("li", {
+                className: "stats-empty",
+                text: t("stats.empty", "Nothing yet"),
+              }),
+            ])
+      );
+    });
+  }
+
+  destroy() {
+    this.listeners.abort();
+    this.root.hidden = true;
+    this.analytics.onChange = null;
+  }
+}
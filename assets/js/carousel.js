@@ -0,0 +1,1237 @@
+// ==========================================================================
+// PROJECTS CAROUSEL COMPONENT
+// ==========================================================================
+
+/**
+ * Reusable carousel for every `.projects-carousel` in the page.
+ *
+ * 🎓 WHY A CLASS?
+ * The Illustration, Comic and Editorial carousels used to be three copies of
+ * the same ~100 lines, differing only in their selectors. A class lets each
+ * carousel keep its OWN state (current index, animation lock, drag state)
+ * while sharing one implementation. Adding a category now only needs markup.
+ *
+ * 📐 EXPECTED MARKUP:
+ *   <div class="projects-carousel" data-loop="true" data-duration="400">
+ *     <button class="carousel-arrow carousel-arrow-left">…</button>
+ *     <div class="carousel-container">
+ *       <div class="carousel-track">
+ *         <div class="project-carousel-card">…</div>
+ *       </div>
+ *     </div>
+ *     <button class="carousel-arrow carousel-arrow-right">…</button>
+ *   </div>
+ *   <div class="carousel-indicators"></div>
+ *
+ * The indicators container is found through `data-indicators="<selector>"`
+ * or, by default, as the element right after the carousel. Its dots are
+ * generated: one per PAGE, so their number follows the cards per view.
+ *
+ * 📐 DATA ATTRIBUTES (all optional):
+ * - data-loop="false"          → stop at the first/last card instead of wrapping
+ * - data-duration="400"        → transition duration in ms (also the click lock)
+ * - data-swipe-threshold="75"  → drag (or horizontal wheel) distance in px
+ *                                that turns the page even when slow
+ * - data-start-index="0"       → card shown first on load
+ * - data-keyboard="false"      → turn off arrow-key navigation
+ * - data-per-view="1 768:2 1200:3"
+ *                              → cards shown at once: a base number, then
+ *                                `min-width:count` pairs (mobile first)
+ * - data-step="page"           → arrows, swipes and autoplay move a whole
+ *                                page; "card" moves one card at a time
+ * - data-autoplay="6000"       → move on by itself every 6 s (off by default)
+ *
+ * 🎓 HOW THE INFINITE LOOP WORKS:
+ * Wrapping from the last card to the first used to rewind visibly through
+ * every card. Now the track holds copies ("clones") of the first cards
+ * after the last one, and of the last cards before the first one. "Next"
+ * on the last card slides on into the clones, which look exactly like the
+ * first cards, then the track jumps back to the real ones without a
+ * transition. The jump is invisible: the same images are in the same place.
+ *
+ * ⚠️ Clones are `.project-carousel-card.is-clone` without ids, data-project
+ * or data-category, and are `inert` + aria-hidden. Code that lists the
+ * cards must skip them (`.project-carousel-card:not(.is-clone)`).
+ *
+ * 🎓 DRAGGING (Pointer Events: mouse, touch and pen alike):
+ * The track follows the pointer while it is dragged, then settles on the
+ * nearest card or page. A fast flick goes further than a slow drag: the
+ * release speed is projected forward (`MOMENTUM` ms of coasting). Without
+ * looping, dragging past either end only moves a fraction of the distance
+ * (`EDGE_RESISTANCE`), so the end is felt rather than hit. Horizontal
+ * wheel and trackpad gestures turn the page too.
+ *
+ * ⚠️ A press only becomes a drag after `DRAG_START` px of mostly
+ * horizontal movement: taps still open the image modal, vertical swipes
+ * still scroll the page (`touch-action: pan-y` in components2.css). The click
+ * that follows a real drag is swallowed.
+ *
+ * ♿ ACCESSIBILITY (WAI-ARIA carousel pattern, added by the class):
+ * - The carousel is a labelled region (aria-roledescription="carousel")
+ * - Each card is a slide labelled "n of m"
+ * - The indicator dots form a tablist (one tab per page, roving tabindex)
+ * - Arrow keys only act while focus is inside THIS carousel or its tabs
+ * - Cards that are off-screen are `inert`, so Tab skips them
+ * - A polite live region announces slide changes
+ * - Autoplay stops while the pointer or focus is on the carousel, while it
+ *   is off-screen or the tab is hidden, never starts under reduced motion,
+ *   and comes with a pause/play button (WCAG 2.2.2)
+ *
+ * 📐 EVENTS: `portfolio:slide-change` on the carousel root after every move
+ * (see events.js); `project` is the first card in view.
+ */
+class Carousel {
+  static defaults = {
+    loop: true,
+    duration: 400,
+    swipeThreshold: 75,
+    startIndex: 0,
+    keyboard: true,
+    perView: "1",
+    step: "page",
+    autoplay: 0,
+  };
+
+  static STEPS = ["card", "page"];
+
+  /** Movement (px) before a press counts as a drag rather than a click. */
+  static DRAG_START = 8;
+
+  /** How far (ms) the release speed carries the track on. */
+  static MOMENTUM = 150;
+
+  /** Release speed (px/ms) at which a short flick still turns the page. */
+  static FLICK_VELOCITY = 0.4;
+
+  /** Share of the distance the track follows when dragged past an end. */
+  static EDGE_RESISTANCE = 0.3;
+
+  /** Quiet time (ms) that ends a wheel or trackpad gesture. */
+  static WHEEL_IDLE = 200;
+
+  /** Instances by root element, so other modules can reach a carousel. */
+  static instances = new WeakMap();
+
+  /** Counter for generated ids (aria-controls needs them). */
+  static idCounter = 0;
+
+  /**
+   * Create a carousel for every `.projects-carousel` inside `scope`.
+   *
+   * @param {ParentNode} [scope=document] - Where to look for carousels
+   * @returns {Carousel[]} The created (or already existing) instances
+   */
+  static initAll(scope = document) {
+    return Array.from(scope.querySelectorAll(".projects-carousel")).map(
+      (root) => Carousel.getInstance(root) || new Carousel(root)
+    );
+  }
+
+  /**
+   * @param {HTMLElement} root
+   * @returns {Carousel|undefined}
+   */
+  static getInstance(root) {
+    return Carousel.instances.get(root);
+  }
+
+  /**
+   * Read options from data attributes. Explicit options win over markup.
+   *
+   * @param {HTMLElement} root
+   * @returns {object}
+   */
+  static readOptions(root) {
+    const { dataset } = root;
+    const options = {};
+
+    if (dataset.loop !== undefined) options.loop = dataset.loop !== "false";
+    if (dataset.duration) options.duration = Number(dataset.duration);
+    if (dataset.swipeThreshold) {
+      options.swipeThreshold = Number(dataset.swipeThreshold);
+    }
+    if (dataset.startIndex) options.startIndex = Number(dataset.startIndex);
+    if (dataset.keyboard !== undefined) {
+      options.keyboard = dataset.keyboard !== "false";
+    }
+    if (dataset.perView) options.perView = dataset.perView;
+    if (dataset.step) {
+      if (Carousel.STEPS.includes(dataset.step)) options.step = dataset.step;
+      else console.warn(`⚠️ Carousel: unknown data-step "${dataset.step}"`);
+    }
+    if (dataset.autoplay) options.autoplay = Number(dataset.autoplay) || 0;
+
+    return options;
+  }
+
+  /**
+   * Parse a per-view setting into breakpoints, widest first.
+   *
+   * @param {string|number} value - e.g. "1 768:2 1200:3" or 2
+   * @returns {{minWidth: number, count: number}[]}
+   *
+   * @example
+   * Carousel.parsePerView("1 768:2 1200:3");
+   * // → [{minWidth: 1200, count: 3}, {minWidth: 768, count: 2},
+   * //    {minWidth: 0, count: 1}]
+   */
+  static parsePerView(value) {
+    const breakpoints = String(value)
+      .trim()
+      .split(/\s+/)
+      .map((part) => {
+        const [first, second] = part.split(":").map(Number);
+        return second === undefined
+          ? { minWidth: 0, count: first }
+          : { minWidth: first, count: second };
+      })
+      .filter(
+        ({ minWidth, count }) =>
+          Number.isInteger(count) && count >= 1 && minWidth >= 0
+      );
+
+    if (!breakpoints.some(({ minWidth }) => minWidth === 0)) {
+      breakpoints.push({ minWidth: 0, count: 1 });
+    }
+    return breakpoints.sort((a, b) => b.minWidth - a.minWidth);
+  }
+
+  /**
+   * @param {HTMLElement} root - The `.projects-carousel` element
+   * @param {object} [options] - Overrides for the data-attribute options
+   */
+  constructor(root, options = {}) {
+    this.root = root;
+    this.options = {
+      ...Carousel.defaults,
+      ...Carousel.readOptions(root),
+      ...options,
+    };
+
+    this.track = root.querySelector(".carousel-track");
+    this.leftArrow = root.querySelector(".carousel-arrow-left");
+    this.rightArrow = root.querySelector(".carousel-arrow-right");
+
+    if (!this.track) {
+      throw new Error("Carousel: missing .carousel-track");
+    }
+
+    this.cards = Array.from(
+      this.track.querySelectorAll(".project-carousel-card:not(.is-clone)")
+    );
+    this.indicatorList = this.findIndicatorList();
+    this.indicators = [];
+    this.clones = [];
+    this.cloneCount = 0;
+
+    // One media query per breakpoint; the widest that matches wins
+    this.breakpoints = Carousel.parsePerView(this.options.perView).map(
+      (breakpoint) => ({
+        ...breakpoint,
+        query: window.matchMedia(`(min-width: ${breakpoint.minWidth}px)`),
+      })
+    );
+    this.perView = this.getPerView();
+
+    this.currentIndex = this.clampIndex(this.options.startIndex);
+    this.position = 0; // Where the track is, counted in cards (clones too)
+    this.isAnimating = false;
+    this.animationTimer = null;
+    this.keyTimeout = null;
+    this.drag = null; // The pointer being dragged, see handlePointerDown()
+    this.suppressClick = false;
+    this.wheelDelta = 0;
+    this.wheelLocked = false;
+    this.wheelTimer = null;
+
+    // Autoplay runs only while this set is empty (as in hero-carousel.js)
+    this.autoplayTimer = null;
+    this.pauseReasons = new Set();
+    this.reducedMotion = window.matchMedia("(prefers-reduced-motion: reduce)");
+
+    // 🎯 One AbortController removes every listener in destroy()
+    this.listeners = new AbortController();
+
+    this.setupAccessibility();
+    this.layout();
+    this.bindEvents();
+    if (this.options.autoplay > 0) this.setupAutoplay();
+
+    Carousel.instances.set(root, this);
+  }
+
+  /** Number of cards in the track (clones not included). */
+  get length() {
+    return this.cards.length;
+  }
+
+  /** Can the carousel move at all? (Not when every card fits.) */
+  get canMove() {
+    return this.length > this.perView;
+  }
+
+  /** Wrapping is only needed when some cards are out of view. */
+  get isLooping() {
+    return this.options.loop && this.canMove;
+  }
+
+  /** The last index that still fills the view (without looping). */
+  get maxIndex() {
+    return Math.max(this.length - this.perView, 0);
+  }
+
+  /** How many cards one arrow press, swipe or autoplay tick moves. */
+  get stepSize() {
+    return this.options.step === "card" ? 1 : this.perView;
+  }
+
+  /**
+   * First card of every page, i.e. what each indicator dot shows.
+   *
+   * 📐 Without looping the last page is aligned to the END, so it is
+   * never half empty: 5 cards, 2 per view → pages start at 0, 2 and 3.
+   *
+   * @returns {number[]}
+   */
+  get pageStarts() {
+    const starts = [];
+    const limit = this.isLooping ? this.length : this.maxIndex;
+    for (let start = 0; start < limit; start += this.perView) {
+      starts.push(start);
+    }
+    if (!this.isLooping) starts.push(this.maxIndex);
+    return starts;
+  }
+
+  /** Index of the page holding the current card. */
+  get currentPage() {
+    const starts = this.pageStarts;
+    if (!this.isLooping && this.currentIndex >= this.maxIndex) {
+      return starts.length - 1;
+    }
+    return Math.max(
+      starts.findLastIndex((start) => start <= this.currentIndex),
+      0
+    );
+  }
+
+  getPerView() {
+    const match = this.breakpoints.find(({ query }) => query.matches);
+    return match ? match.count : 1;
+  }
+
+  findIndicatorList() {
+    const selector = this.root.dataset.indicators;
+    const container = selector
+      ? document.querySelector(selector)
+      : this.root.nextElementSibling;
+
+    return container?.matches(".carousel-indicators") ? container : null;
+  }
+
+  /**
+   * Add the roles, labels and live region of the WAI-ARIA carousel pattern.
+   *
+   * 📐 WHAT SCREEN READERS HEAR:
+   * "Comic projects, carousel" → "2 of 4, slide" → "Slide 2 of 4: Horacio"
+   */
+  setupAccessibility() {
+    const id = this.root.id || `carousel-${++Carousel.idCounter}`;
+    // A label written in the HTML wins over the generated one
+    this.customLabel = this.root.getAttribute("aria-label");
+
+    this.root.id = id;
+    this.root.setAttribute("role", "region");
+
+    this.track.id = `${id}-track`;
+    [this.leftArrow, this.rightArrow].forEach((arrow) => {
+      arrow?.setAttribute("aria-controls", this.track.id);
+    });
+
+    this.cards.forEach((card, index) => {
+      card.id = card.id || `${id}-slide-${index + 1}`;
+    });
+
+    this.liveRegion = document.createElement("div");
+    this.liveRegion.className = "visually-hidden";
+    this.liveRegion.setAttribute("aria-live", "polite");
+    this.liveRegion.setAttribute("aria-atomic", "true");
+    this.root.append(this.liveRegion);
+  }
+
+  /**
+   * Write the (translated) labels. Runs again on every language change
+   * and whenever the number of pages changes.
+   */
+  updateLabels() {
+    const category = this.root
+      .closest(".projects-category")
+      ?.querySelector(".projects-subtitle")
+      ?.textContent.trim();
+    const label =
+      this.customLabel ||
+      (category
+        ? t("carousel.label", "{category} projects", { category })
+        : t("carousel.labelDefault", "Projects"));
+
+    this.root.setAttribute(
+      "aria-roledescription",
+      t("carousel.roledescription", "carousel")
+    );
+    this.root.setAttribute("aria-label", label);
+
+    this.cards.forEach((card, index) => {
+      card.setAttribute(
+        "aria-roledescription",
+        t("carousel.slideRoledescription", "slide")
+      );
+      card.setAttribute(
+        "aria-label",
+        t("carousel.position", "{n} of {total}", {
+          n: index + 1,
+          total: this.length,
+        })
+      );
+    });
+
+    const starts = this.pageStarts;
+    this.indicators.forEach((indicator, page) => {
+      indicator.setAttribute(
+        "aria-label",
+        this.perView === 1
+          ? t("carousel.goToSlide", "Go to slide {n}: {title}", {
+              n: page + 1,
+              title: this.getTitle(this.cards[starts[page]]),
+            })
+          : t("carousel.goToPage", "Go to page {n} of {total}", {
+              n: page + 1,
+              total: starts.length,
+            })
+      );
+    });
+
+    if (this.indicatorList?.getAttribute("role") === "tablist") {
+      this.indicatorList.setAttribute(
+        "aria-label",
+        t("carousel.tablist", "Choose a slide: {label}", { label })
+      );
+    }
+  }
+
+  getTitle(card) {
+    return card?.querySelector("h3")?.textContent.trim() || "";
+  }
+
+  clampIndex(index) {
+    return Math.min(Math.max(index, 0), this.maxIndex);
+  }
+
+  // ------------------------------------------------------------------------
+  // Layout: cards per view, clones and dots
+  // ------------------------------------------------------------------------
+
+  /**
+   * (Re)build everything that depends on the cards per view. Runs on load
+   * and whenever a breakpoint is crossed.
+   */
+  layout() {
+    this.perView = this.getPerView();
+    this.root.style.setProperty("--per-view", String(this.perView));
+    this.root.classList.toggle("is-multi", this.perView > 1);
+
+    this.renderClones();
+    this.renderIndicators();
+
+    // Without looping the view must stay full: 3 per view never starts
+    // on the last card
+    this.currentIndex = this.isLooping
+      ? this.currentIndex
+      : this.clampIndex(this.currentIndex);
+    this.position = this.cloneCount + this.currentIndex;
+
+    this.updateLabels();
+    this.render({ animate: false });
+  }
+
+  /**
+   * Copies of the last cards go before the first one, copies of the first
+   * cards after the last one. Two views' worth on each side covers the
+   * largest move (a page from the last card).
+   */
+  renderClones() {
+    this.clones.forEach((clone) => clone.remove());
+    this.clones = [];
+    this.cloneCount = this.isLooping ? this.perView * 2 : 0;
+    if (!this.cloneCount) return;
+
+    const cloneOf = (index) => {
+      const card = this.cards[(index + this.length * 10) % this.length];
+      const clone = card.cloneNode(true);
+
+      clone.classList.add("is-clone");
+      clone.removeAttribute("id");
+      clone.removeAttribute("data-project");
+      clone.removeAttribute("data-category");
+      clone.removeAttribute("role");
+      clone.removeAttribute("aria-label");
+      clone.removeAttribute("aria-roledescription");
+      clone.querySelectorAll("[id]").forEach((el) => el.removeAttribute("id"));
+      clone.setAttribute("aria-hidden", "true");
+      clone.setAttribute("inert", "");
+
+      // The load listeners of the blur-up (imagekit.js) are not copied:
+      // show the image straight away, the browser has it already
+      clone.querySelectorAll(".is-blur-up").forEach((el) => {
+        el.classList.remove("is-blur-up");
+        el.classList.add("is-loaded");
+      });
+
+      this.clones.push(clone);
+      return clone;
+    };
+
+    const before = [];
+    const after = [];
+    for (let i = 0; i < this.cloneCount; i++) {
+      before.unshift(cloneOf(this.length - 1 - i));
+      after.push(cloneOf(i));
+    }
+    this.track.prepend(...before);
+    this.track.append(...after);
+  }
+
+  /** One dot per page, a tablist when there is more than one page. */
+  renderIndicators() {
+    if (!this.indicatorList) return;
+
+    const starts = this.canMove ? this.pageStarts : [];
+    this.indicators = starts.map((start, page) => {
+      const indicator = document.createElement("button");
+      indicator.className = "indicator";
+      indicator.type = "button";
+      indicator.setAttribute("role", "tab");
+      indicator.dataset.page = String(page);
+      return indicator;
+    });
+    this.indicatorList.replaceChildren(...this.indicators);
+
+    if (this.indicators.length > 0) {
+      this.indicatorList.setAttribute("role", "tablist");
+    } else {
+      this.indicatorList.removeAttribute("role");
+      this.indicatorList.removeAttribute("aria-label");
+    }
+
+    // With one card per page, each card is the tabpanel of its dot
+    const hasPanels = this.indicators.length === this.length;
+    this.cards.forEach((card) => {
+      card.setAttribute("role", hasPanels ? "tabpanel" : "group");
+    });
+    this.indicators.forEach((indicator, page) => {
+      const ids = this.cards
+        .slice(starts[page], starts[page] + this.perView)
+        .map((card) => card.id);
+      indicator.setAttribute("aria-controls", ids.join(" "));
+    });
+  }
+
+  // ------------------------------------------------------------------------
+  // Events
+  // ------------------------------------------------------------------------
+
+  bindEvents() {
+    const { signal } = this.listeners;
+
+    this.rightArrow?.addEventListener("click", () => this.next(), { signal });
+    document.addEventListener("i18n:change", () => this.updateLabels(), {
+      signal,
+    });
+    this.leftArrow?.addEventListener("click", () => this.prev(), { signal });
+
+    // Delegated: the dots are rebuilt when the number of pages changes
+    this.indicatorList?.addEventListener(
+      "click",
+      (e) => {
+        const indicator = e.target.closest(".indicator");
+        if (indicator) this.goToPage(Number(indicator.dataset.page));
+      },
+      { signal }
+    );
+
+    this.breakpoints.forEach(({ query }) => {
+      query.addEventListener(
+        "change",
+        () => {
+          if (this.getPerView() !== this.perView) this.layout();
+        },
+        { signal }
+      );
+    });
+
+    if (this.options.keyboard) {
+      // Scoped to the carousel: keys only count while focus is inside it
+      this.root.addEventListener("keydown", (e) => this.handleKeydown(e), {
+        signal,
+      });
+      this.indicatorList?.addEventListener(
+        "keydown",
+        (e) => this.handleKeydown(e, { fromTabs: true }),
+        { signal }
+      );
+    }
+
+    this.track.addEventListener(
+      "pointerdown",
+      (e) => this.handlePointerDown(e),
+      { signal }
+    );
+    this.track.addEventListener(
+      "pointermove",
+      (e) => this.handlePointerMove(e),
+      { signal }
+    );
+    ["pointerup", "pointercancel"].forEach((type) => {
+      this.track.addEventListener(type, (e) => this.handlePointerUp(e), {
+        signal,
+      });
+    });
+
+    // Images and links are draggable by default: keep the browser's own
+    // drag and drop out of the way
+    this.track.addEventListener("dragstart", (e) => e.preventDefault(), {
+      signal,
+    });
+
+    // Capture phase: runs before the lightbox's delegated click listener
+    this.track.addEventListener(
+      "click",
+      (e) => {
+        if (!this.suppressClick) return;
+        this.suppressClick = false;
+        e.preventDefault();
+        e.stopPropagation();
+      },
+      { capture: true, signal }
+    );
+
+    // Not passive: horizontal gestures must not also scroll the page (or
+    // trigger the browser's swipe-to-go-back)
+    this.root.addEventListener("wheel", (e) => this.handleWheel(e), {
+      passive: false,
+      signal,
+    });
+  }
+
+  /**
+   * Arrow keys move between slides; Home/End jump to the ends.
+   * In the tablist, focus follows the selected tab (roving tabindex).
+   */
+  handleKeydown(e, { fromTabs = false } = {}) {
+    // Already handled elsewhere (e.g. by the lightbox)
+    if (e.defaultPrevented) return;
+
+    const actions = {
+      ArrowLeft: () => this.prev(),
+      ArrowRight: () => this.next(),
+      Home: () => this.goTo(0),
+      End: () => this.goTo(this.maxIndex),
+    };
+    const action = actions[e.key];
+    if (!action) return;
+
+    e.preventDefault();
+
+    // Debounced so holding a key doesn't queue dozens of slides
+    clearTimeout(this.keyTimeout);
+    this.keyTimeout = setTimeout(() => {
+      action();
+      if (fromTabs) this.indicators[this.currentPage]?.focus();
+    }, 50);
+  }
+
+  // ------------------------------------------------------------------------
+  // Dragging and wheel
+  // ------------------------------------------------------------------------
+
+  /** Width (px) of one card plus the gap after it. */
+  getSlotWidth() {
+    const gap = parseFloat(getComputedStyle(this.track).columnGap) || 0;
+    return (this.track.getBoundingClientRect().width + gap) / this.perView;
+  }
+
+  handlePointerDown(e) {
+    // Main button (or a touch/pen contact) only
+    if (!e.isPrimary || e.button !== 0 || !this.canMove) return;
+
+    this.drag = {
+      pointerId: e.pointerId,
+      startX: e.clientX,
+      startY: e.clientY,
+      lastX: e.clientX,
+      lastTime: e.timeStamp,
+      velocity: 0,
+      offset: 0,
+      isDragging: false,
+    };
+  }
+
+  handlePointerMove(e) {
+    const drag = this.drag;
+    if (!drag || e.pointerId !== drag.pointerId) return;
+
+    const dx = e.clientX - drag.startX;
+    const dy = e.clientY - drag.startY;
+
+    if (!drag.isDragging) {
+      if (Math.max(Math.abs(dx), Math.abs(dy)) < Carousel.DRAG_START) return;
+      // Mostly vertical: the visitor is scrolling the page, not dragging
+      if (Math.abs(dy) > Math.abs(dx)) {
+        this.drag = null;
+        return;
+      }
+      this.startDrag(e);
+    }
+
+    // Smoothed speed, so one jittery event doesn't decide the release
+    const elapsed = e.timeStamp - drag.lastTime;
+    if (elapsed > 0) {
+      const velocity = (e.clientX - drag.lastX) / elapsed;
+      drag.velocity = drag.velocity * 0.2 + velocity * 0.8;
+      drag.lastX = e.clientX;
+      drag.lastTime = e.timeStamp;
+    }
+
+    drag.offset = this.resistDrag(dx);
+    this.track.style.transform = this.getTransform(drag.offset);
+  }
+
+  /** The press has moved far enough: take over from the browser. */
+  startDrag(e) {
+    this.drag.isDragging = true;
+    this.drag.slotWidth = this.getSlotWidth();
+
+    // A drag may interrupt a move: finish it first (a clone jumps back to
+    // its real card, which looks the same)
+    clearTimeout(this.animationTimer);
+    this.isAnimating = false;
+    this.settle();
+
+    // Keep receiving events when the pointer leaves the track. Only now,
+    // not on pointerdown: capturing retargets the click of a plain tap
+    this.track.setPointerCapture?.(e.pointerId);
+    this.track.style.transitionDuration = "0ms";
+    this.root.classList.add("is-dragging");
+    // A mouse drag would otherwise select the card text on its way
+    window.getSelection()?.removeAllRanges();
+  }
+
+  /**
+   * 📐 Without looping, the part of the drag that goes past the first or
+   * last page is scaled down by EDGE_RESISTANCE. When looping, the drag
+   * stops at one view's width: that is how far the clones reach.
+   *
+   * @param {number} dx - Pointer movement in px (positive = to the right)
+   * @returns {number} How far the track follows, in px
+   */
+  resistDrag(dx) {
+    const { slotWidth } = this.drag;
+
+    if (this.isLooping) {
+      const limit = slotWidth * this.perView;
+      return Math.min(Math.max(dx, -limit), limit);
+    }
+
+    const max = this.currentIndex * slotWidth;
+    const min = -(this.maxIndex - this.currentIndex) * slotWidth;
+    if (dx > max) return max + (dx - max) * Carousel.EDGE_RESISTANCE;
+    if (dx < min) return min + (dx - min) * Carousel.EDGE_RESISTANCE;
+    return dx;
+  }
+
+  handlePointerUp(e) {
+    const drag = this.drag;
+    if (!drag || e.pointerId !== drag.pointerId) return;
+
+    this.drag = null;
+    if (!drag.isDragging) return;
+
+    this.root.classList.remove("is-dragging");
+    this.track.releasePointerCapture?.(e.pointerId);
+
+    // The click that ends a drag is not a click on the card
+    if (e.type === "pointerup") {
+      this.suppressClick = true;
+      setTimeout(() => {
+        this.suppressClick = false;
+      }, 0);
+    }
+
+    const steps = e.type === "pointerup" ? this.getDragSteps(drag) : 0;
+    const previousIndex = this.currentIndex;
+    if (steps !== 0) this.move(steps * this.stepSize);
+
+    // Not far enough (or already at the end): slide back into place
+    if (this.currentIndex === previousIndex) {
+      this.track.style.transitionDuration = `${this.options.duration}ms`;
+      this.track.style.transform = this.getTransform();
+    }
+  }
+
+  /**
+   * How many steps (cards or pages) a finished drag moves.
+   *
+   * 📐 The release speed carries the track on for MOMENTUM ms; the result
+   * is rounded to the nearest step. A drag past `swipeThreshold` or a
+   * quick flick moves at least one step, and never more than one view
+   * (the clones only reach that far).
+   *
+   * @param {object} drag
+   * @returns {number} Positive = forward
+   */
+  getDragSteps({ offset, velocity, slotWidth }) {
+    const projected = offset + velocity * Carousel.MOMENTUM;
+    let steps = Math.round(-projected / (slotWidth * this.stepSize));
+
+    const isSwipe =
+      Math.abs(offset) > this.options.swipeThreshold ||
+      Math.abs(velocity) > Carousel.FLICK_VELOCITY;
+    if (steps === 0 && isSwipe && offset !== 0) steps = -Math.sign(offset);
+
+    const maxSteps = Math.max(Math.floor(this.perView / this.stepSize), 1);
+    return Math.min(Math.max(steps, -maxSteps), maxSteps);
+  }
+
+  /**
+   * Horizontal wheel and trackpad swipes turn one step per gesture.
+   *
+   * ⚠️ A trackpad keeps sending (slowing) wheel events after the fingers
+   * lift. Without the lock, one swipe would race through several pages:
+   * after a step, the rest of the gesture is ignored until WHEEL_IDLE ms
+   * pass without events.
+   */
+  handleWheel(e) {
+    // Vertical scrolling belongs to the page
+    if (Math.abs(e.deltaX) <= Math.abs(e.deltaY) || !this.canMove) return;
+    e.preventDefault();
+
+    clearTimeout(this.wheelTimer);
+    this.wheelTimer = setTimeout(() => {
+      this.wheelDelta = 0;
+      this.wheelLocked = false;
+    }, Carousel.WHEEL_IDLE);
+
+    if (this.wheelLocked || this.drag?.isDragging) return;
+
+    // deltaMode 1 = lines (some mice): roughly 16px each
+    this.wheelDelta += e.deltaMode === 1 ? e.deltaX * 16 : e.deltaX;
+    if (Math.abs(this.wheelDelta) < this.options.swipeThreshold) return;
+
+    // Still sliding from the previous step: keep the distance and retry
+    // on the next event
+    const previousIndex = this.currentIndex;
+    if (this.wheelDelta > 0) this.next();
+    else this.prev();
+    this.wheelLocked = this.currentIndex !== previousIndex;
+  }
+
+  // ------------------------------------------------------------------------
+  // Moving
+  // ------------------------------------------------------------------------
+
+  /** Move one step forward (wraps around when `loop` is on). */
+  next() {
+    this.move(this.stepSize);
+  }
+
+  /** Move one step back (wraps around when `loop` is on). */
+  prev() {
+    this.move(-this.stepSize);
+  }
+
+  /**
+   * Move by `delta` cards. When looping, the track slides on into the
+   * clones instead of rewinding; see settle().
+   *
+   * @param {number} delta
+   * @param {object} [options]
+   * @param {boolean} [options.animate=true]
+   */
+  move(delta, { animate = true } = {}) {
+    if (this.isLooping) {
+      this.moveTo(this.currentIndex + delta, { animate });
+      return;
+    }
+
+    // Page steps end on the last full page, even from a partial one
+    const target =
+      delta > 0 && this.currentIndex + delta > this.maxIndex
+        ? this.maxIndex
+        : this.currentIndex + delta;
+    this.moveTo(this.clampIndex(target), { animate });
+  }
+
+  /**
+   * Show the card at `index` first in view.
+   *
+   * @param {number} index - Zero-based card index (clamped to the range)
+   * @param {object} [options]
+   * @param {boolean} [options.animate=true] - false jumps without a transition
+   */
+  goTo(index, { animate = true } = {}) {
+    this.moveTo(this.isLooping ? index : this.clampIndex(index), { animate });
+  }
+
+  /** @param {number} page - Zero-based page (indicator dot) */
+  goToPage(page, options) {
+    const start = this.pageStarts[page];
+    if (start !== undefined) this.goTo(start, options);
+  }
+
+  /**
+   * Bring a card into view, moving only if it is not visible yet (and then
+   * to the page that holds it). Used by the lightbox, the router and the
+   * command palette.
+   *
+   * @param {number} index
+   * @param {object} [options]
+   * @param {boolean} [options.animate=true]
+   */
+  showCard(index, options) {
+    if (index < 0 || index >= this.length) return;
+    if (this.isVisible(index)) return;
+
+    const start =
+      this.options.step === "page"
+        ? Math.floor(index / this.perView) * this.perView
+        : index;
+    this.goTo(start, options);
+  }
+
+  /** Is the card at `index` (or its clone) in view right now? */
+  isVisible(index) {
+    const offset = (index - this.currentIndex + this.length) % this.length;
+    return offset < this.perView;
+  }
+
+  /**
+   * @param {number} target - A card index; when looping it may run past
+   *   either end (-1, length…), which lands on a clone first
+   * @param {object} options
+   */
+  moveTo(target, { animate = true } = {}) {
+    // A jump without animation may interrupt a running transition
+    if ((animate && this.isAnimating) || !this.canMove) return;
+
+    const index = this.isLooping
+      ? ((target % this.length) + this.length) % this.length
+      : target;
+    if (index === this.currentIndex && animate) return;
+
+    const previousIndex = this.currentIndex;
+    this.currentIndex = index;
+    this.position = this.cloneCount + (animate ? target : index);
+    this.render({ animate });
+
+    if (index === previousIndex) return;
+    const card = this.cards[index];
+    emitPortfolioEvent(this.root, PORTFOLIO_EVENTS.SLIDE_CHANGE, {
+      category: card.dataset.category || null,
+      project: card.dataset.project || null,
+      title: this.getTitle(card),
+      index,
+      previousIndex,
+      total: this.length,
+      animated: animate,
+    });
+  }
+
+  /**
+   * After a move into the clones, jump (without a transition) to the real
+   * cards that look the same.
+   */
+  settle() {
+    const position = this.cloneCount + this.currentIndex;
+    if (this.position === position) return;
+
+    this.position = position;
+    this.track.style.transitionDuration = "0ms";
+    this.track.style.transform = this.getTransform();
+    // Commit the jump now, so the next move animates from here
+    void this.track.offsetWidth;
+  }
+
+  /**
+   * 📐 Each card is (100% - gaps) / perView wide, so one card plus its
+   * gap is (100% + gap) / perView of the track: translate by that times
+   * the position. Percentages in translate are of the track's own width.
+   *
+   * @param {number} [offset=0] - Extra px, while the track is dragged
+   */
+  getTransform(offset = 0) {
+    return `translate3d(calc(${-this
+      .position} * (100% + var(--carousel-gap, 0px)) / ${
+      this.perView
+    } + ${offset}px), 0, 0)`;
+  }
+
+  /**
+   * Apply the current index to the DOM.
+   *
+   * Uses translate3d for GPU-accelerated movement, and locks further moves
+   * until the CSS transition has finished.
+   */
+  render({ animate = true } = {}) {
+    this.track.style.transitionDuration = animate
+      ? `${this.options.duration}ms`
+      : "0ms";
+    this.track.style.transform = this.getTransform();
+
+    const page = this.currentPage;
+    this.indicators.forEach((indicator, index) => {
+      const isActive = index === page;
+      indicator.classList.toggle("active", isActive);
+      indicator.setAttribute("aria-selected", String(isActive));
+      indicator.tabIndex = isActive ? 0 : -1;
+    });
+
+    // Off-screen cards leave the tab order (and the accessibility tree).
+    // If focus was on a card that is sliding away, follow to the new one.
+    // ⚠️ Past the last card the view shows clones, which stay inert: the
+    // real cards they copy are off-screen at the other end of the track
+    const current = this.cards[this.currentIndex];
+    const focusedCard = document.activeElement?.closest(
+      ".project-carousel-card"
+    );
+    this.cards.forEach((card, index) => {
+      const isOnScreen =
+        index >= this.currentIndex && index < this.currentIndex + this.perView;
+      card.toggleAttribute("inert", !isOnScreen);
+    });
+    if (focusedCard && focusedCard.inert && this.track.contains(focusedCard)) {
+      current
+        ?.querySelector(".project-carousel-open")
+        ?.focus({ preventScroll: true });
+    }
+
+    if (this.leftArrow && this.rightArrow) {
+      const canMove = this.canMove;
+      this.leftArrow.disabled =
+        !canMove || (!this.isLooping && this.currentIndex === 0);
+      this.rightArrow.disabled =
+        !canMove || (!this.isLooping && this.currentIndex >= this.maxIndex);
+    }
+
+    if (!animate) {
+      this.settle();
+      return;
+    }
+
+    // Programmatic jumps (animate: false) stay silent
+    this.announce();
+
+    this.isAnimating = true;
+    clearTimeout(this.animationTimer);
+    this.animationTimer = setTimeout(() => {
+      this.isAnimating = false;
+      this.settle();
+    }, this.options.duration);
+  }
+
+  announce() {
+    const last = Math.min(this.currentIndex + this.perView, this.length);
+    const position = {
+      n: this.currentIndex + 1,
+      last,
+      total: this.length,
+      title: this.getTitle(this.cards[this.currentIndex]),
+    };
+
+    if (this.perView > 1 && last > position.n) {
+      this.liveRegion.textContent = t(
+        "carousel.announceRange",
+        "Slides {n} to {last} of {total}",
+        position
+      );
+    } else {
+      this.liveRegion.textContent = position.title
+        ? t(
+            "carousel.announceTitled",
+            "Slide {n} of {total}: {title}",
+            position
+          )
+        : t("carousel.announce", "Slide {n} of {total}", position);
+    }
+  }
+
+  // ------------------------------------------------------------------------
+  // Autoplay
+  // ------------------------------------------------------------------------
+
+  setupAutoplay() {
+    const { signal } = this.listeners;
+
+    const icon = document.createElement("span");
+    icon.className = "carousel-autoplay-icon";
+
+    this.autoplayToggle = document.createElement("button");
+    this.autoplayToggle.type = "button";
+    this.autoplayToggle.className = "carousel-autoplay-toggle";
+    this.autoplayToggle.append(icon);
+    this.autoplayToggle.setAttribute("aria-controls", this.track.id);
+    this.root.append(this.autoplayToggle);
+
+    this.autoplayToggle.addEventListener(
+      "click",
+      () => {
+        if (!this.isPausedByChoice) {
+          this.pause("user");
+          return;
+        }
+        // Pressing play also overrides reduced motion: it was asked for
+        this.pauseReasons.delete("motion");
+        this.resume("user");
+      },
+      { signal }
+    );
+
+    // ♿ Nothing moves while the visitor is reading or using the carousel.
+    // (Focus on the pause button itself also pauses: so does WCAG.)
+    [this.root, this.indicatorList].filter(Boolean).forEach((el) => {
+      el.addEventListener("pointerenter", () => this.pause("hover"), {
+        signal,
+      });
+      el.addEventListener("pointerleave", () => this.resume("hover"), {
+        signal,
+      });
+      el.addEventListener("focusin", () => this.pause("focus"), { signal });
+      el.addEventListener(
+        "focusout",
+        (e) => {
+          if (!el.contains(e.relatedTarget)) this.resume("focus");
+        },
+        { signal }
+      );
+    });
+
+    document.addEventListener(
+      "visibilitychange",
+      () => {
+        if (document.hidden) this.pause("hidden");
+        else this.resume("hidden");
+      },
+      { signal }
+    );
+
+    this.reducedMotion.addEventListener(
+      "change",
+      (e) => {
+        // Its own reason: a pause chosen with the button outlives this
+        if (e.matches) this.pause("motion");
+        else this.resume("motion");
+      },
+      { signal }
+    );
+
+    document.addEventListener("i18n:change", () => this.updateToggle(), {
+      signal,
+    });
+
+    this.observer = new IntersectionObserver(
+      ([entry]) => {
+        if (entry.isIntersecting) this.resume("offscreen");
+        else this.pause("offscreen");
+      },
+      { threshold: 0 }
+    );
+    this.observer.observe(this.root);
+
+    // Starts paused until the observer reports the carousel on screen
+    this.pauseReasons.add("offscreen");
+    if (this.reducedMotion.matches) this.pauseReasons.add("motion");
+    if (document.hidden) this.pauseReasons.add("hidden");
+    this.updateToggle();
+  }
+
+  get isPlaying() {
+    return this.options.autoplay > 0 && this.pauseReasons.size === 0;
+  }
+
+  /** Paused by the visitor or by reduced motion: the button offers play. */
+  get isPausedByChoice() {
+    return this.pauseReasons.has("user") || this.pauseReasons.has("motion");
+  }
+
+  /** @param {"user"|"motion"|"hover"|"focus"|"hidden"|"offscreen"} reason */
+  pause(reason) {
+    this.pauseReasons.add(reason);
+    clearTimeout(this.autoplayTimer);
+    this.autoplayTimer = null;
+    this.updateToggle();
+  }
+
+  /** @param {"user"|"motion"|"hover"|"focus"|"hidden"|"offscreen"} reason */
+  resume(reason) {
+    this.pauseReasons.delete(reason);
+    this.updateToggle();
+    this.schedule();
+  }
+
+  /** Queue the next autoplay step. */
+  schedule() {
+    if (!this.isPlaying || this.autoplayTimer || !this.canMove) return;
+
+    this.autoplayTimer = setTimeout(() => {
+      this.autoplayTimer = null;
+      // Without looping, autoplay starts over from the first page
+      if (!this.isLooping && this.currentIndex >= this.maxIndex) {
+        this.goTo(0);
+      } else {
+        this.next();
+      }
+      this.schedule();
+    }, this.options.autoplay);
+  }
+
+  updateToggle() {
+    if (!this.autoplayToggle) return;
+
+    const isPaused = this.isPausedByChoice;
+    this.autoplayToggle.setAttribute(
+      "aria-label",
+      isPaused
+        ? t("carousel.play", "Play slideshow")
+        : t("carousel.pause", "Pause slideshow")
+    );
+    this.autoplayToggle.dataset.state = isPaused ? "paused" : "playing";
+  }
+
+  /** Remove every listener, timer and clone, and reset the track. */
+  destroy() {
+    this.listeners.abort();
+    clearTimeout(this.animationTimer);
+    clearTimeout(this.keyTimeout);
+    clearTimeout(this.autoplayTimer);
+    clearTimeout(this.wheelTimer);
+    this.observer?.disconnect();
+    this.drag = null;
+    this.root.classList.remove("is-dragging");
+
+    this.track.style.transform = "";
+    this.track.style.transitionDuration = "";
+    this.root.style.removeProperty("--per-view");
+    this.root.classList.remove("is-multi");
+    if (this.leftArrow) this.leftArrow.disabled = false;
+    if (this.rightArrow) this.rightArrow.disabled = false;
+
+    this.clones.forEach((clone) => clone.remove());
+    this.clones = [];
+    this.cards.forEach((card) => card.removeAttribute("inert"));
+    this.indicators.forEach((indicator) =>
+      indicator.removeAttribute("tabindex")
+    );
+    this.autoplayToggle?.remove();
+    this.liveRegion.remove();
+
+    Carousel.instances.delete(this.root);
+  }
+}
@@ -0,0 +1,620 @@
+// ==========================================================================
+// COMMAND PALETTE (CTRL/CMD + K)
+// ==========================================================================
+
+/**
+ * A search box for the whole page: jump to a section or a project, or run
+ * a command, without scrolling or reaching for the mouse.
+ *
+ * 🎓 WHAT THIS DOES:
+ * - Ctrl+K (Cmd+K on a Mac), or any `[data-command-palette-open]` button,
+ *   opens it; the same shortcut or Escape closes it
+ * - Fuzzy search over every `section[id]`, every project card title and a
+ *   few commands ("hln" finds "Helian")
+ * - Sections: scroll there. Projects: scroll there and move the carousel
+ *   (or the grid) to the card; Shift+Enter opens it in the lightbox
+ * - Commands: toggle the theme, open the contact form, copy the link of
+ *   the project being looked at and print the PDF catalogue
+ *
+ * ♿ ACCESSIBILITY (the ARIA combobox pattern):
+ * - The input is a combobox that controls a listbox of results; focus
+ *   stays in the input and aria-activedescendant points at the active
+ *   option, so screen readers read each option as the arrows move
+ * - The result count is announced in a live region
+ * - Focus is trapped in the dialog, and returns to where it was on close
+ *   (or moves to what was chosen, e.g. the section that was jumped to)
+ *
+ * 📐 EXPECTED MARKUP: see `.command-palette` in index.html.
+ */
+class CommandPalette {
+  /** Results shown at once; typing narrows them down. */
+  static MAX_RESULTS = 50;
+
+  /** How long the "Link copied" notice stays, in ms. */
+  static NOTICE_DURATION = 3000;
+
+  /**
+   * How well `query` matches `text`, higher is better; -1 means no match.
+   * Both are expected normalized (see ProjectFilter.normalize).
+   *
+   * 📐 THE RANKING:
+   * 1. The text starts with the query                 → 100
+   * 2. A word of the text starts with the query       → 80
+   * 3. The query appears anywhere                     → 60
+   * 4. The letters of the query appear in order       → below 50, better
+   *    when they are consecutive or start words ("prj" → "projects")
+   *
+   * @param {string} query
+   * @param {string} text
+   * @returns {number}
+   */
+  static score(query, text) {
+    if (!query) return 0;
+
+    const index = text.indexOf(query);
+    if (index === 0) return 100;
+    if (index > 0) return /\s|-/.test(text[index - 1]) ? 80 : 60;
+
+    let score = 0;
+    let position = -1;
+    for (const char of query) {
+      if (char === " ") continue;
+      const next = text.indexOf(char, position + 1);
+      if (next === -1) return -1;
+
+      if (next === position + 1) score += 3; // Consecutive letters
+      if (next === 0 || /\s|-/.test(text[next - 1])) score += 2; // Word start
+      score -= Math.min(next - position - 1, 5) * 0.5; // Gap
+      position = next;
+    }
+    return Math.min(Math.max(score + 20, 1), 49);
+  }
+
+  /**
+   * @param {HTMLElement} root - The `.command-palette` dialog
+   * @param {object} [options]
+   * @param {ParentNode} [options.scope=document] - Where sections and
+   *   projects are looked up
+   * @param {Lightbox|null} [options.lightbox] - Opens projects full size
+   * @param {ThemeEngine|null} [options.themeEngine] - For "Toggle theme"
+   * @param {PrintCatalogue|null} [options.printCatalogue] - For "Print /
+   *   Save as PDF"
+   * @param {HTMLElement|null} [options.notice] - An always-present
+   *   role="status" element for messages shown after the palette closed
+   */
+  constructor(
+    root,
+    {
+      scope = document,
+      lightbox = null,
+      themeEngine = null,
+      printCatalogue = null,
+      notice = null,
+    } = {}
+  ) {
+    this.root = root;
+    this.scope = scope;
+    this.lightbox = lightbox;
+    this.themeEngine = themeEngine;
+    this.printCatalogue = printCatalogue;
+    this.notice = notice;
+
+    this.input = root.querySelector(".command-palette-input");
+    this.list = root.querySelector(".command-palette-list");
+    this.status = root.querySelector(".command-palette-status");
+    this.reducedMotion = window.matchMedia("(prefers-reduced-motion: reduce)");
+
+    this.items = [];
+    this.results = [];
+    this.activeIndex = -1;
+    this.trigger = null;
+    this.noticeTimer = null;
+
+    this.listeners = new AbortController();
+    this.bindEvents();
+
+    // Shortcut hints in the page say ⌘ K on Apple devices
+    if (/Mac|iPhone|iPad/.test(navigator.platform)) {
+      document
+        .querySelectorAll("[data-command-palette-open] kbd")
+        .forEach((kbd) => {
+          kbd.textContent = "⌘ K";
+        });
+    }
+  }
+
+  get isOpen() {
+    return !this.root.hidden;
+  }
+
+  bindEvents() {
+    const { signal } = this.listeners;
+
+    document.addEventListener(
+      "keydown",
+      (e) => {
+        const isShortcut =
+          (e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === "k";
+        if (!isShortcut || e.isComposing) return;
+
+        // Also stops the browser from focusing its own search bar
+        e.preventDefault();
+        if (this.isOpen) this.close();
+        else this.open();
+      },
+      { signal }
+    );
+
+    document.addEventListener(
+      "click",
+      (e) => {
+        const opener = e.target.closest?.("[data-command-palette-open]");
+        if (opener) this.open();
+      },
+      { signal }
+    );
+
+    this.input.addEventListener("input", () => this.filter(), { signal });
+    this.root.addEventListener("keydown", (e) => this.handleKeydown(e), {
+      signal,
+    });
+
+    this.root.addEventListener(
+      "click",
+      (e) => {
+        if (e.target.closest("[data-command-palette-close]")) {
+          this.close();
+          return;
+        }
+        const option = e.target.closest(".command-palette-option");
+        if (option) {
+          this.choose(Number(option.dataset.index), { alt: e.shiftKey });
+        }
+      },
+      { signal }
+    );
+
+    // The mouse moves the highlight too, so Enter and a click agree
+    this.list.addEventListener(
+      "pointermove",
+      (e) => {
+        const option = e.target.closest(".command-palette-option");
+        if (option) this.setActive(Number(option.dataset.index));
+      },
+      { signal }
+    );
+  }
+
+  // ------------------------------------------------------------------------
+  // Opening and closing
+  // ------------------------------------------------------------------------
+
+  open() {
+    if (this.isOpen) return;
+
+    this.trigger = document.activeElement;
+    // Built on every open: the cards, the language and the project being
+    // looked at may all have changed since last time
+    this.items = this.collect();
+
+    this.root.hidden = false;
+    this.input.value = "";
+    this.filter();
+    this.input.focus();
+  }
+
+  /**
+   * @param {object} [options]
+   * @param {boolean} [options.restoreFocus=true] - false when the chosen
+   *   result moves focus itself
+   */
+  close({ restoreFocus = true } = {}) {
+    if (!this.isOpen) return;
+
+    this.root.hidden = true;
+    this.input.removeAttribute("aria-activedescendant");
+    this.list.replaceChildren();
+
+    if (restoreFocus && this.trigger?.isConnected) {
+      this.trigger.focus({ preventScroll: true });
+    }
+    this.trigger = null;
+  }
+
+  // ------------------------------------------------------------------------
+  // What can be searched
+  // ------------------------------------------------------------------------
+
+  /**
+   * Every result, in the order shown when nothing has been typed yet.
+   *
+   * @returns {{group: string, label: string, hint: string, keywords: string,
+   *   run: Function, runAlt?: Function}[]}
+   */
+  collect() {
+    return [
+      ...this.getCommands(),
+      ...this.getSections(),
+      ...this.getProjects(),
+    ].map((item) => ({
+      ...item,
+      search: ProjectFilter.normalize(
+        `${item.label} ${item.hint || ""} ${item.keywords || ""}`
+      ),
+    }));
+  }
+
+  getSections() {
+    return Array.from(this.scope.querySelectorAll("section[id]")).map(
+      (section) => ({
+        group: "section",
+        label: this.getSectionName(section),
+        hint: `#${section.id}`,
+        keywords: section.id,
+        run: () => this.goToSection(section),
+      })
+    );
+  }
+
+  /** aria-label, else the nav link, else the first heading, else the id. */
+  getSectionName(section) {
+    const link = this.scope.querySelector(
+      `.nav-links a[href="#${CSS.escape(section.id)}"]`
+    );
+    return (
+      section.getAttribute("aria-label") ||
+      link?.textContent ||
+      section.querySelector("h1, h2")?.textContent ||
+      section.id
+    )
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  getProjects() {
+    return Array.from(
+      this.scope.querySelectorAll(".project-carousel-card:not(.is-clone)")
+    ).map((card) => {
+      const category = card.closest(".projects-category");
+      return {
+        group: "project",
+        label: card.querySelector("h3")?.textContent.trim() || "",
+        hint:
+          category?.querySelector(".projects-subtitle")?.textContent.trim() ||
+          "",
+        keywords: (card.dataset.tags || "").replace(/,/g, " "),
+        run: () => this.goToProject(card),
+        runAlt: this.lightbox ? () => this.openProject(card) : null,
+      };
+    });
+  }
+
+  getCommands() {
+    const commands = [];
+
+    if (this.themeEngine) {
+      commands.push({
+        group: "command",
+        label: t("palette.commands.theme", "Toggle theme"),
+        hint: this.themeEngine.getModeLabel(),
+        keywords: "dark light mode",
+        run: () => this.themeEngine.cycleMode(),
+      });
+    }
+
+    const contact = this.scope.querySelector("section#contact");
+    if (contact) {
+      commands.push({
+        group: "command",
+        label: t("palette.commands.contact", "Open contact"),
+        keywords: "email message form",
+        run: () => this.goToContact(contact),
+      });
+    }
+
+    const card = this.getCurrentProject();
+    if (card) {
+      commands.push({
+        group: "command",
+        label: t("palette.commands.copyLink", "Copy link to this project"),
+        hint: card.querySelector("h3")?.textContent.trim() || "",
+        keywords: "share url",
+        run: () => this.copyLink(card),
+      });
+    }
+
+    if (this.printCatalogue) {
+      commands.push({
+        group: "command",
+        label: t("palette.commands.print", "Print / Save as PDF"),
+        keywords: "pdf catalogue portfolio download",
+        run: () => this.printCatalogue.print(),
+      });
+    }
+
+    return commands;
+  }
+
+  /**
+   * "This project": the one open in the lightbox, else the card showing in
+   * the carousel nearest the middle of the screen.
+   *
+   * @returns {HTMLElement|null}
+   */
+  getCurrentProject() {
+    if (this.lightbox?.isOpen) {
+      return this.lightbox.items[this.lightbox.index] || null;
+    }
+
+    const middle = window.innerHeight / 2;
+    let closest = null;
+    let closestDistance = Infinity;
+
+    this.scope.querySelectorAll(".projects-carousel").forEach((root) => {
+      const carousel = Carousel.getInstance(root);
+      const rect = root.getBoundingClientRect();
+      if (!carousel || rect.height === 0) return; // Hidden (grid, filter)
+      if (rect.bottom < 0 || rect.top > window.innerHeight) return; // Off screen
+
+      const distance = Math.abs(rect.top + rect.height / 2 - middle);
+      if (distance < closestDistance) {
+        closest = carousel.cards[carousel.currentIndex];
+        closestDistance = distance;
+      }
+    });
+    return closest;
+  }
+
+  // ------------------------------------------------------------------------
+  // Searching and the result list
+  // ------------------------------------------------------------------------
+
+  filter() {
+    const query = ProjectFilter.normalize(this.input.value);
+
+    this.results = this.items
+      .map((item, order) => ({
+        item,
+        order,
+        score: CommandPalette.score(query, item.search),
+      }))
+      .filter(({ score }) => score >= 0)
+      .sort((a, b) => b.score - a.score || a.order - b.order)
+      .slice(0, CommandPalette.MAX_RESULTS)
+      .map(({ item }) => item);
+
+    this.render();
+    this.setActive(this.results.length ? 0 : -1);
+
+    this.status.textContent = this.results.length
+      ? t("palette.results", "{count} results", { count: this.results.length })
+      : t("palette.noResults", "No matches");
+  }
+
+  render() {
+    const groups = {
+      section: t("palette.groups.section", "Section"),
+      project: t("palette.groups.project", "Project"),
+      command: t("palette.groups.command", "Command"),
+    };
+
+    this.list.replaceChildren(
+      ...this.results.map((item, index) =>
+        createElement(
+          "li",
+          {
+            id: `command-palette-option-${index}`,
+            className: "command-palette-option",
+            role: "option",
+            "aria-selected": "false",
+            "data-index": String(index),
+            "data-group": item.group,
+          },
+          [
+            createElement("span", {
+              className: "command-palette-group",
+              text: groups[item.group],
+            }),
+            createElement("span", {
+              className: "command-palette-label",
+              text: item.label,
+            }),
+            item.hint
+              ? createElement("span", {
+                  className: "command-palette-hint",
+                  text: item.hint,
+                })
+              : "",
+          ]
+        )
+      )
+    );
+  }
+
+  setActive(index) {
+    if (index === this.activeIndex && index !== -1) return;
+    this.activeIndex = index;
+
+    this.list.querySelectorAll(".command-palette-option").forEach((option) => {
+      const isActive = Number(option.dataset.index) === index;
+      option.setAttribute("aria-selected", String(isActive));
+      if (isActive) option.scrollIntoView({ block: "nearest" });
+    });
+
+    if (index === -1) this.input.removeAttribute("aria-activedescendant");
+    else {
+      this.input.setAttribute(
+        "aria-activedescendant",
+        `command-palette-option-${index}`
+      );
+    }
+  }
+
+  handleKeydown(e) {
+    const count = this.results.length;
+    const actions = {
+      ArrowDown: () => count && this.setActive((this.activeIndex + 1) % count),
+      ArrowUp: () =>
+        count && this.setActive((this.activeIndex - 1 + count) % count),
+      Enter: () => this.choose(this.activeIndex, { alt: e.shiftKey }),
+      Escape: () => this.close(),
+      // The input is the only stop: keep focus inside the dialog
+      Tab: () => this.input.focus(),
+    };
+
+    const action = actions[e.key];
+    if (!action) return;
+
+    // Marks the key as handled so page-level shortcuts ignore it
+    e.preventDefault();
+    action();
+  }
+
+  /**
+   * Run a result. `alt` (Shift+Enter, Shift+click) opens projects in the
+   * lightbox instead of only scrolling to them.
+   */
+  choose(index, { alt = false } = {}) {
+    const item = this.results[index];
+    if (!item) return;
+
+    // Closed first, so the result can move focus where it belongs
+    const { trigger } = this;
+    this.close({ restoreFocus: false });
+    const run = (alt && item.runAlt) || item.run;
+    run();
+
+    // Nothing took focus (e.g. the theme toggle): go back to the trigger
+    const focused = document.activeElement;
+    const isLost = focused === document.body || this.root.contains(focused);
+    if (isLost && trigger?.isConnected) {
+      trigger.focus({ preventScroll: true });
+    }
+  }
+
+  // ------------------------------------------------------------------------
+  // Actions
+  // ------------------------------------------------------------------------
+
+  /** Scroll so the element sits just below the fixed navigation. */
+  scrollTo(el) {
+    const navHeight = document.querySelector(".nav")?.offsetHeight || 0;
+    window.scrollTo({
+      top: el.getBoundingClientRect().top + window.scrollY - navHeight,
+      behavior: this.reducedMotion.matches ? "auto" : "smooth",
+    });
+  }
+
+  /**
+   * Scroll to a section and move focus there, so Tab continues from it
+   * (like following a nav link, including the history entry).
+   */
+  goToSection(section) {
+    this.scrollTo(section);
+    history.pushState(null, "", `#${section.id}`);
+
+    if (!section.hasAttribute("tabindex")) section.tabIndex = -1;
+    section.focus({ preventScroll: true });
+  }
+
+  goToContact(section) {
+    this.goToSection(section);
+
+    // The first real field (the honeypot is not one)
+    section
+      .querySelector(
+        ".contact-form input:not([type='hidden']):not([tabindex='-1']), .contact-form textarea"
+      )
+      ?.focus({ preventScroll: true });
+  }
+
+  /**
+   * Show a project where it is: the carousel moves to its card, or in the
+   * grid view, its grid item gets focus.
+   */
+  goToProject(card) {
+    // While the project filter shows its result list the carousels are
+    // hidden, so the lightbox is the only place the project can be shown
+    if (card.closest("[hidden]")) {
+      this.openProject(card);
+      return;
+    }
+
+    const { category, project } = card.dataset;
+    const categoryEl = card.closest(".projects-category");
+    const carousel = Carousel.getInstance(card.closest(".projects-carousel"));
+    const index = carousel ? carousel.cards.indexOf(card) : -1;
+    if (index !== -1) {
+      carousel.showCard(index, { animate: !this.reducedMotion.matches });
+    }
+
+    this.scrollTo(categoryEl || card);
+
+    const gridItem = categoryEl?.querySelector(
+      `.projects-grid-open[data-category="${CSS.escape(
+        category
+      )}"][data-project="${CSS.escape(project)}"]`
+    );
+    const target =
+      gridItem && gridItem.getBoundingClientRect().height > 0
+        ? gridItem
+        : card.querySelector(".project-carousel-open");
+    target?.focus({ preventScroll: true });
+  }
+
+  openProject(card) {
+    if (!this.lightbox) {
+      this.goToProject(card);
+      return;
+    }
+    this.lightbox.open(card, {
+      trigger: card.querySelector(".project-carousel-open"),
+    });
+  }
+
+  async copyLink(card) {
+    const title = card.querySelector("h3")?.textContent.trim() || "";
+    const url = `${location.origin}${location.pathname}${ProjectRouter.toHash(
+      card.dataset.category,
+      card.dataset.project
+    )}`;
+
+    try {
+      await navigator.clipboard.writeText(url);
+      this.notify(t("palette.copied", "Link to {title} copied", { title }));
+    } catch (error) {
+      console.warn("⚠️ Link could not be copied:", error);
+      this.notify(
+        t("palette.copyFailed", "The link could not be copied: {url}", { url })
+      );
+    }
+  }
+
+  /**
+   * A short message in the notice, after the palette has closed.
+   *
+   * ⚠️ The notice is never `hidden`: live regions only announce changes
+   * made while they are in the accessibility tree.
+   */
+  notify(message) {
+    if (!this.notice) return;
+
+    clearTimeout(this.noticeTimer);
+    this.notice.textContent = message;
+    this.notice.classList.add("is-visible");
+    this.noticeTimer = setTimeout(() => {
+      this.notice.classList.remove("is-visible");
+      this.notice.textContent = "";
+    }, CommandPalette.NOTICE_DURATION);
+  }
+
+  destroy() {
+    this.listeners.abort();
+    clearTimeout(this.noticeTimer);
+    this.close({ restoreFocus: false });
+    if (this.notice) {
+      this.notice.classList.remove("is-visible");
+      this.notice.textContent = "";
+    }
+  }
+}
@@ -0,0 +1,423 @@
+// ==========================================================================
+// CONTACT FORM
+// ==========================================================================
+
+/**
+ * Inquiry form with live validation, spam protection and saved drafts.
+ *
+ * 🎓 WHAT THIS DOES:
+ * - Validates each field as the visitor types (after they first leave it),
+ *   with the error written next to the field and linked by aria-describedby
+ * - Catches simple bots with a honeypot: a field people never see, but
+ *   form-filling bots happily complete
+ * - Keeps an unsent draft in localStorage, so a reload loses nothing
+ * - Sends through an ADAPTER, so the same form can open the mail app,
+ *   POST to a form service, or just store messages locally while testing
+ *
+ * 📐 EXPECTED MARKUP:
+ *   <form class="contact-form" novalidate
+ *         data-adapter="mailto" data-mailto="hello@example.com">
+ *     <div class="form-field">
+ *       <label for="contact-name">Name</label>
+ *       <input id="contact-name" name="name" required />
+ *       <p class="form-error" id="contact-name-error" hidden></p>
+ *     </div>
+ *     …
+ *     <div class="form-honeypot" aria-hidden="true">
+ *       <input name="website" tabindex="-1" autocomplete="off" />
+ *     </div>
+ *     <button type="submit">Send</button>
+ *     <p class="form-status" role="status"></p>
+ *   </form>
+ *
+ * - data-adapter  → "mailto" | "json" | "local" (see ContactForm.adapters)
+ * - data-mailto   → address for the mailto adapter
+ * - data-endpoint → URL for the json adapter (Formspree, Getform, your own…)
+ */
+class ContactForm {
+  static DRAFT_KEY = "contact-draft";
+  static HONEYPOT = "website";
+  static SAVE_DELAY = 300;
+
+  /**
+   * Submission adapters. Each factory receives the form's data-* settings
+   * and returns `{ name, send(data) }`, where `send` resolves when the
+   * message is on its way and throws when it is not.
+   *
+   * 🎯 Add your own: ContactForm.adapters.myService = (config) => ({ … })
+   * then set data-adapter="myService" on the form.
+   */
+  static adapters = {
+    /** Opens the visitor's mail app with everything filled in. */
+    mailto: ({ mailto }) => ({
+      name: "mailto",
+      async send(data) {
+        if (!mailto) throw new Error("data-mailto is missing");
+
+        const subject = `New inquiry: ${data.type || "project"} — ${data.name}`;
+        const body = ContactForm.summarize(data);
+        window.location.href = `mailto:${mailto}?subject=${encodeURIComponent(
+          subject
+        )}&body=${encodeURIComponent(body)}`;
+      },
+    }),
+
+    /** POSTs the fields as JSON (works with most form back-ends). */
+    json: ({ endpoint }) => ({
+      name: "json",
+      async send(data) {
+        if (!endpoint) throw new Error("data-endpoint is missing");
+
+        const response = await fetch(endpoint, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Accept: "application/json",
+          },
+          body: JSON.stringify(data),
+        });
+        if (!response.ok) {
+          throw new Error(`${endpoint} answered ${response.status}`);
+        }
+      },
+    }),
+
+    /** Stand-in for testing: keeps messages in localStorage. */
+    local: () => ({
+      name: "local",
+      async send(data) {
+        const outbox = JSON.parse(
+          localStorage.getItem("contact-outbox") || "[]"
+        );
+        outbox.push({ ...data, sentAt: new Date().toISOString() });
+        localStorage.setItem("contact-outbox", JSON.stringify(outbox));
+        console.log("📮 Message stored locally (contact-outbox):", data);
+      },
+    }),
+  };
+
+  /**
+   * Plain-text version of a message (used for email bodies).
+   *
+   * @param {Record<string, string>} data
+   * @returns {string}
+   */
+  static summarize(data) {
+    return [
+      `Name: ${data.name}`,
+      `Email: ${data.email}`,
+      `Project type: ${data.type || "—"}`,
+      `Budget: ${data.budget || "—"}`,
+      `Deadline: ${data.deadline || "—"}`,
+      "",
+      data.message,
+    ].join("\n");
+  }
+
+  /**
+   * @param {HTMLFormElement} form
+   * @param {object} [options]
+   * @param {{name: string, send: Function}} [options.adapter] - Overrides
+   *   the adapter named in data-adapter
+   */
+  constructor(form, { adapter = null } = {}) {
+    this.form = form;
+    this.submitButton = form.querySelector('[type="submit"]');
+    this.status = form.querySelector(".form-status");
+    this.fields = Array.from(form.elements).filter(
+      (el) =>
+        el.name && el.name !== ContactForm.HONEYPOT && el.type !== "submit"
+    );
+    this.touched = new Set();
+    this.saveTimer = null;
+    this.isSending = false;
+    this.listeners = new AbortController();
+
+    this.adapter = adapter || this.createAdapter();
+
+    // No deadlines in the past
+    const deadline = form.elements.namedItem("deadline");
+    if (deadline) deadline.min = new Date().toISOString().slice(0, 10);
+
+    this.restoreDraft();
+    this.bindEvents();
+  }
+
+  createAdapter() {
+    const name = this.form.dataset.adapter || "mailto";
+    const factory = ContactForm.adapters[name];
+    if (!factory) throw new Error(`Unknown contact form adapter "${name}"`);
+    return factory(this.form.dataset);
+  }
+
+  bindEvents() {
+    const { signal } = this.listeners;
+
+    // Validate a field once the visitor leaves it…
+    this.form.addEventListener(
+      "focusout",
+      (e) => {
+        if (!this.fields.includes(e.target)) return;
+        this.touched.add(e.target);
+        this.validateField(e.target);
+      },
+      { signal }
+    );
+
+    // …and from then on, live while they fix it
+    this.form.addEventListener(
+      "input",
+      (e) => {
+        if (this.touched.has(e.target)) this.validateField(e.target);
+        this.scheduleSave();
+      },
+      { signal }
+    );
+    this.form.addEventListener("change", () => this.scheduleSave(), {
+      signal,
+    });
+
+    this.form.addEventListener("submit", (e) => this.handleSubmit(e), {
+      signal,
+    });
+
+    // Re-word visible errors in the new language
+    document.addEventListener(
+      "i18n:change",
+      () => this.touched.forEach((field) => this.validateField(field)),
+      { signal }
+    );
+  }
+
+  /**
+   * The message to show for a field, or "" when it is valid.
+   *
+   * 🎓 The browser does the checking (required, type="email", minlength,
+   * min…) through the Constraint Validation API. We only choose the words,
+   * because the built-in bubbles are inconsistent and hard to style.
+   *
+   * @param {HTMLInputElement|HTMLSelectElement|HTMLTextAreaElement} field
+   * @returns {string}
+   */
+  getError(field) {
+    const { validity } = field;
+    // ⚠️ Browsers only flag minlength after the visitor edits a field, not
+    // for restored drafts, so it is checked by hand
+    const length = field.value.trim().length;
+    const isTooShort =
+      field.minLength > 0 && length > 0 && length < field.minLength;
+    if (validity.valid && !isTooShort) return "";
+
+    const label = this.form
+      .querySelector(`label[for="${field.id}"]`)
+      ?.textContent.replace("*", "")
+      .trim();
+
+    // 🌍 One key per field, since translated grammar depends on the word
+    if (validity.valueMissing) {
+      return t(
+        `contact.errors.required.${field.name}`,
+        field.tagName === "SELECT"
+          ? `Please choose a ${label.toLowerCase()}.`
+          : `Please enter your ${label.toLowerCase()}.`
+      );
+    }
+    if (validity.typeMismatch && field.type === "email") {
+      return t(
+        "contact.errors.email",
+        "Please enter an email address like name@example.com."
+      );
+    }
+    if (isTooShort) {
+      return t(
+        "contact.errors.tooShort",
+        "Please write at least {min} characters (you have {length}).",
+        { min: field.minLength, length }
+      );
+    }
+    if (validity.rangeUnderflow && field.type === "date") {
+      return t(
+        "contact.errors.pastDate",
+        "Please pick a date from today onwards."
+      );
+    }
+    return field.validationMessage;
+  }
+
+  /**
+   * Show or clear the error for one field.
+   *
+   * @returns {boolean} true when the field is valid
+   */
+  validateField(field) {
+    const message = this.getError(field);
+    const errorEl = document.getElementById(`${field.id}-error`);
+
+    field.setAttribute("aria-invalid", String(Boolean(message)));
+    field.closest(".form-field")?.classList.toggle("has-error", !!message);
+    if (errorEl) {
+      errorEl.textContent = message;
+      errorEl.hidden = !message;
+    }
+    return !message;
+  }
+
+  /** @returns {boolean} true when every field is valid */
+  validateAll() {
+    let firstInvalid = null;
+    this.fields.forEach((field) => {
+      this.touched.add(field);
+      if (!this.validateField(field) && !firstInvalid) firstInvalid = field;
+    });
+
+    // ♿ Send keyboard and screen reader users straight to the problem
+    firstInvalid?.focus();
+    return !firstInvalid;
+  }
+
+  /** @returns {Record<string, string>} the visible fields, trimmed */
+  getData() {
+    const data = {};
+    this.fields.forEach((field) => {
+      data[field.name] = field.value.trim();
+    });
+    return data;
+  }
+
+  async handleSubmit(e) {
+    e.preventDefault();
+    if (this.isSending) return;
+
+    const isValid = this.validateAll();
+    if (!isValid) {
+      this.setStatus(
+        t("contact.status.invalid", "Please fix the highlighted fields."),
+        "error"
+      );
+      return;
+    }
+
+    // 🎯 A bot filled the honeypot: look successful, send nothing
+    const honeypot = this.form.elements.namedItem(ContactForm.HONEYPOT);
+    if (honeypot?.value) {
+      console.warn("⚠️ Contact form: honeypot filled, message dropped");
+      this.reset();
+      this.setStatus(
+        t("contact.status.sent", "Thanks! Your message has been sent."),
+        "success"
+      );
+      return;
+    }
+
+    this.setSending(true);
+    this.setStatus(t("contact.status.sending", "Sending…"));
+
+    try {
+      await this.adapter.send(this.getData());
+      const isMailto = this.adapter.name === "mailto";
+      // ⚠️ mailto only opens the email app: nothing is sent yet, so the
+      // fields and the draft stay in case it never opens or is cancelled
+      if (!isMailto) this.reset();
+      this.setStatus(
+        isMailto
+          ? t(
+              "contact.status.mailto",
+              "Your email app should open with the message ready to send."
+            )
+          : t("contact.status.sent", "Thanks! Your message has been sent."),
+        "success"
+      );
+    } catch (error) {
+      console.error("⚠️ Contact form could not be sent:", error);
+      // The draft is kept, so nothing is lost
+      this.setStatus(
+        t(
+          "contact.status.failed",
+          "Sorry, your message could not be sent. Please try again, or use one of the links below."
+        ),
+        "error"
+      );
+    } finally {
+      this.setSending(false);
+    }
+  }
+
+  setSending(isSending) {
+    this.isSending = isSending;
+    this.form.setAttribute("aria-busy", String(isSending));
+    if (this.submitButton) this.submitButton.disabled = isSending;
+  }
+
+  /**
+   * @param {string} message
+   * @param {"info"|"success"|"error"} [type="info"]
+   */
+  setStatus(message, type = "info") {
+    if (!this.status) return;
+    this.status.textContent = message;
+    this.status.dataset.type = type;
+  }
+
+  // ------------------------------------------------------------------------
+  // Drafts
+  // ------------------------------------------------------------------------
+
+  scheduleSave() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => this.saveDraft(), ContactForm.SAVE_DELAY);
+  }
+
+  saveDraft() {
+    const data = this.getData();
+    const isEmpty = Object.values(data).every((value) => !value);
+
+    try {
+      if (isEmpty) localStorage.removeItem(ContactForm.DRAFT_KEY);
+      else localStorage.setItem(ContactForm.DRAFT_KEY, JSON.stringify(data));
+    } catch {
+      // Storage full or disabled: the form still works, just without drafts
+    }
+  }
+
+  restoreDraft() {
+    let draft = null;
+    try {
+      draft = JSON.parse(localStorage.getItem(ContactForm.DRAFT_KEY));
+    } catch {
+      return;
+    }
+    if (!draft) return;
+
+    this.fields.forEach((field) => {
+      if (typeof draft[field.name] === "string") {
+        field.value = draft[field.name];
+      }
+    });
+    this.setStatus(
+      t("contact.status.restored", "We restored your unsent message.")
+    );
+  }
+
+  /** Empty the form and forget the draft. */
+  reset() {
+    clearTimeout(this.saveTimer);
+    this.form.reset();
+    this.touched.clear();
+    this.fields.forEach((field) => {
+      field.removeAttribute("aria-invalid");
+      field.closest(".form-field")?.classList.remove("has-error");
+      const errorEl = document.getElementById(`${field.id}-error`);
+      if (errorEl) errorEl.hidden = true;
+    });
+    try {
+      localStorage.removeItem(ContactForm.DRAFT_KEY);
+    } catch {
+      // Nothing saved, nothing to remove
+    }
+  }
+
+  destroy() {
+    clearTimeout(this.saveTimer);
+    this.listeners.abort();
+  }
+}
@@ -0,0 +1,665 @@
+// ==========================================================================
+// EDIT MODE (?edit)
+// ==========================================================================
+
+/**
+ * Curate the portfolio in the browser: open the page with `?edit`, change
+ * the projects, export the result.
+ *
+ * 🎓 WHAT CAN BE EDITED:
+ * - Order: drag a card by its handle (⠿) within its category or into
+ *   another one; the arrow buttons and the category menu do the same from
+ *   the keyboard
+ * - Titles and descriptions: typed straight into the card
+ * - Alt text: the field under each card
+ * - Cards: add one from an image URL, remove one
+ *
+ * 📐 WHERE CHANGES GO:
+ * Every change is saved in this browser's localStorage (nothing is sent
+ * anywhere), so a reload keeps working on the same draft. "Export JSON"
+ * downloads a new `projects.json` (replace assets/data/projects.json with
+ * it); "Export HTML" downloads the generated category markup, for pages
+ * that don't load the JSON. Exporting clears the saved draft.
+ *
+ * ⚠️ GOOD TO KNOW:
+ * - While editing, the carousels are laid out flat (every card visible)
+ *   and filters, grid view and carousel controls are off (edit.css)
+ * - The English text of the JSON is edited, whatever the page language.
+ *   Translations stay in assets/i18n/<locale>.json, keyed by category and
+ *   slug: a card moved to another category needs its keys moved too
+ *
+ * 📐 EXPECTED MARKUP: see `.edit-toolbar` in index.html.
+ */
+class EditMode {
+  static PARAM = "edit";
+  static STORAGE_KEY = "portfolio-edits";
+
+  /** Only when the page was opened with ?edit */
+  static isRequested() {
+    return new URLSearchParams(location.search).has(EditMode.PARAM);
+  }
+
+  /**
+   * The draft saved in this browser, or null.
+   *
+   * @returns {{categories: object[]}|null}
+   */
+  static readDraft() {
+    try {
+      const draft = JSON.parse(localStorage.getItem(EditMode.STORAGE_KEY));
+      return draft ? validateProjects(draft, "The saved draft") : null;
+    } catch (error) {
+      console.warn("⚠️ Edit draft ignored:", error);
+      return null;
+    }
+  }
+
+  /**
+   * "Copia de Libertad.jpg" → "copia-de-libertad"
+   *
+   * @param {string} text
+   * @returns {string}
+   */
+  static slugify(text) {
+    return ProjectFilter.normalize(text)
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "");
+  }
+
+  /**
+   * @param {HTMLElement} container - The `[data-projects-src]` element
+   * @param {{categories: object[]}} data - projects.json as published
+   * @param {object} [options]
+   * @param {{categories: object[]}|null} [options.draft] - Unexported
+   *   changes to carry on from (see readDraft)
+   * @param {HTMLElement|null} [options.toolbar] - The `.edit-toolbar`
+   */
+  constructor(container, data, { draft = null, toolbar = null } = {}) {
+    this.container = container;
+    this.original = data;
+    this.data = structuredClone(draft || data);
+    this.toolbar = toolbar;
+    this.status = toolbar?.querySelector(".edit-status");
+    this.dragged = null; // { category, index } of the card being dragged
+
+    // 🎯 One AbortController removes every listener in destroy()
+    this.listeners = new AbortController();
+    this.bindEvents();
+
+    document.documentElement.classList.add("is-editing");
+    if (toolbar) {
+      // Leaving edit mode = the same page without ?edit
+      const url = new URL(location.href);
+      url.searchParams.delete(EditMode.PARAM);
+      toolbar.querySelector(".edit-exit")?.setAttribute("href", url.href);
+      toolbar.hidden = false;
+    }
+
+    this.render();
+    this.setStatus(
+      draft
+        ? t("edit.restored", "Unexported changes restored from this browser")
+        : t("edit.ready", "Changes are kept in this browser until exported")
+    );
+  }
+
+  bindEvents() {
+    const { signal } = this.listeners;
+    const on = (type, handler) =>
+      this.container.addEventListener(type, handler, { signal });
+
+    on("input", (e) => this.handleInput(e));
+    on("click", (e) => this.handleClick(e));
+    on("change", (e) => this.handleChange(e));
+    on("submit", (e) => this.handleSubmit(e));
+    on("keydown", (e) => {
+      // Titles are one line: Enter finishes editing instead
+      if (e.key === "Enter" && e.target.matches("h3[contenteditable]")) {
+        e.preventDefault();
+        e.target.blur();
+      }
+    });
+
+    on("dragstart", (e) => this.handleDragStart(e));
+    on("dragover", (e) => this.handleDragOver(e));
+    on("drop", (e) => this.handleDrop(e));
+    on("dragend", () => this.clearDrag());
+
+    this.toolbar?.addEventListener(
+      "click",
+      (e) => {
+        const exportButton = e.target.closest("[data-edit-export]");
+        if (exportButton) this.export(exportButton.dataset.editExport);
+        if (e.target.closest("[data-edit-discard]")) this.discard();
+      },
+      { signal }
+    );
+  }
+
+  // ------------------------------------------------------------------------
+  // Rendering
+  // ------------------------------------------------------------------------
+
+  /** Rebuild the cards from the data, with the editing controls. */
+  render() {
+    this.container.replaceChildren(
+      ...this.data.categories.map((category) => {
+        const categoryEl = createCategory(category);
+        categoryEl
+          .querySelectorAll(".project-carousel-card")
+          .forEach((card, index) =>
+            this.decorateCard(card, category, category.projects[index])
+          );
+        categoryEl
+          .querySelector(".projects-carousel")
+          .after(this.createAddForm(category));
+        return categoryEl;
+      })
+    );
+
+    // The page language must not overwrite the text being edited
+    this.container
+      .querySelectorAll("[data-i18n], [data-i18n-attr]")
+      .forEach((el) => {
+        el.removeAttribute("data-i18n");
+        el.removeAttribute("data-i18n-attr");
+      });
+
+    this.container.removeAttribute("aria-busy");
+    labelProjects(this.container);
+  }
+
+  /** Make a card's text editable and add its handle and tools. */
+  decorateCard(card, category, project) {
+    const title = card.querySelector("h3");
+    const description = card.querySelector(".project-carousel-content p");
+
+    [
+      [title, "title", t("edit.title", "Title")],
+      [description, "description", t("edit.description", "Description")],
+    ].forEach(([el, field, label]) => {
+      el.setAttribute("contenteditable", "plaintext-only");
+      el.dataset.editField = field;
+      el.setAttribute("aria-label", label);
+    });
+
+    // Only the handle is draggable: a draggable card would stop text from
+    // being selected in its editable fields
+    const handle = createElement("span", {
+      className: "edit-handle",
+      draggable: "true",
+      title: t("edit.drag", "Drag to reorder"),
+      "aria-hidden": "true",
+      text: "⠿",
+    });
+
+    const altId = `edit-alt-${category.id}-${project.slug}`;
+    const categorySelect = createElement(
+      "select",
+      {
+        "data-edit-action": "category",
+        "aria-label": t("edit.category", "Category"),
+      },
+      this.data.categories.map((option) =>
+        createElement("option", {
+          value: option.id,
+          text: option.title,
+          selected: option === category,
+        })
+      )
+    );
+
+    const tools = createElement("div", { className: "edit-card-tools" }, [
+      createElement("label", {
+        for: altId,
+        text: t("edit.alt", "Alt text"),
+      }),
+      createElement("input", {
+        id: altId,
+        type: "text",
+        className: "edit-alt",
+        value: project.image.alt || "",
+      }),
+      createElement("div", { className: "edit-card-actions" }, [
+        this.createButton("move-prev", "←", t("edit.movePrev", "Move earlier")),
+        this.createButton("move-next", "→", t("edit.moveNext", "Move later")),
+        categorySelect,
+        this.createButton("remove", t("edit.remove", "Remove")),
+      ]),
+    ]);
+
+    card.prepend(handle);
+    card.querySelector(".project-carousel-content").append(tools);
+  }
+
+  createButton(action, text, label) {
+    return createElement("button", {
+      type: "button",
+      "data-edit-action": action,
+      "aria-label": label || null,
+      title: label || null,
+      text,
+    });
+  }
+
+  createAddForm(category) {
+    const inputId = `edit-add-${category.id}`;
+
+    return createElement(
+      "form",
+      {
+        className: "edit-add",
+        "data-category": category.id,
+        novalidate: true,
+      },
+      [
+        createElement("label", {
+          for: inputId,
+          text: t("edit.addLabel", "Image URL"),
+        }),
+        createElement("input", {
+          id: inputId,
+          type: "url",
+          name: "src",
+          placeholder: "https://ik.imagekit.io/…",
+        }),
+        createElement("button", {
+          type: "submit",
+          text: t("edit.add", "Add project"),
+        }),
+      ]
+    );
+  }
+
+  // ------------------------------------------------------------------------
+  // Finding things
+  // ------------------------------------------------------------------------
+
+  getCategory(id) {
+    return this.data.categories.find((category) => category.id === id);
+  }
+
+  /**
+   * The data behind a card (or anything inside one).
+   *
+   * @param {Element} el
+   * @returns {{category: object, index: number, project: object}|null}
+   */
+  locate(el) {
+    const card = el.closest(".project-carousel-card");
+    const category = card && this.getCategory(card.dataset.category);
+    if (!category) return null;
+
+    const index = category.projects.findIndex(
+      (project) => project.slug === card.dataset.project
+    );
+    return index === -1
+      ? null
+      : { category, index, project: category.projects[index] };
+  }
+
+  /** A slug not used yet in `category` ("volkov", "volkov-2"…). */
+  uniqueSlug(category, base) {
+    const taken = new Set(category.projects.map((project) => project.slug));
+    let slug = base;
+    for (let n = 2; taken.has(slug); n++) slug = `${base}-${n}`;
+    return slug;
+  }
+
+  // ------------------------------------------------------------------------
+  // Editing
+  // ------------------------------------------------------------------------
+
+  handleInput(e) {
+    const target = e.target;
+    const found = this.locate(target);
+    if (!found) return;
+
+    if (target.dataset.editField) {
+      const field = target.dataset.editField;
+      const text = target.textContent.trim();
+      // Every project needs a title (validateProjects): an emptied one is
+      // saved as "New project" until something is typed
+      found.project[field] =
+        text || field !== "title" ? text : t("edit.untitled", "New project");
+    } else if (target.matches(".edit-alt")) {
+      found.project.image.alt = target.value.trim();
+      const image = target
+        .closest(".project-carousel-card")
+        .querySelector(".project-carousel-open img");
+      image.alt = found.project.image.alt;
+    } else {
+      return;
+    }
+
+    // Text edits don't re-render: the caret stays where it is
+    this.save();
+  }
+
+  handleClick(e) {
+    const button = e.target.closest("button[data-edit-action]");
+    const found = button && this.locate(button);
+    if (!found) return;
+
+    const { category, index, project } = found;
+    const action = button.dataset.editAction;
+
+    if (action === "move-prev" || action === "move-next") {
+      const to = index + (action === "move-prev" ? -1 : 1);
+      if (to < 0 || to >= category.projects.length) return;
+      this.move(category, index, category, to, action);
+    }
+
+    if (action === "remove") {
+      const question = t("edit.confirmRemove", "Remove “{title}”?", {
+        title: project.title,
+      });
+      if (!window.confirm(question)) return;
+
+      category.projects.splice(index, 1);
+      this.commit(t("edit.removed", "{title} removed", project));
+      this.container
+        .querySelector(
+          `.edit-add[data-category="${CSS.escape(category.id)}"] input`
+        )
+        ?.focus();
+    }
+  }
+
+  handleChange(e) {
+    const select = e.target.closest('select[data-edit-action="category"]');
+    const found = select && this.locate(select);
+    if (!found) return;
+
+    const to = this.getCategory(select.value);
+    this.move(found.category, found.index, to, to.projects.length, "category");
+  }
+
+  handleSubmit(e) {
+    const form = e.target.closest(".edit-add");
+    if (!form) return;
+    e.preventDefault();
+
+    const category = this.getCategory(form.dataset.category);
+    const input = form.elements.src;
+    const src = input.value.trim();
+
+    let url = null;
+    try {
+      url = new URL(src);
+    } catch {
+      // Handled below
+    }
+    if (!url || !/^https?:$/.test(url.protocol)) {
+      this.setStatus(
+        t("edit.invalidUrl", "Enter the full address of an image (https://…)")
+      );
+      input.focus();
+      return;
+    }
+
+    // The file name makes a first title: "Copia de Libertad.jpg"
+    let file = url.pathname.split("/").pop() || "";
+    try {
+      file = decodeURIComponent(file);
+    } catch {
+      // Malformed %xx: keep the file name as it is
+    }
+    const name = file.replace(/\.[a-z0-9]+$/i, "").trim();
+    const project = {
+      slug: this.uniqueSlug(
+        category,
+        EditMode.slugify(name) || EditMode.slugify(category.id)
+      ),
+      title: name || t("edit.untitled", "New project"),
+      description: "",
+      tags: [],
+      image: { src, alt: "" },
+    };
+    category.projects.push(project);
+
+    this.commit(t("edit.added", "{title} added", project));
+    this.findCard(category, project)?.querySelector("h3")?.focus();
+  }
+
+  /**
+   * Move a project, then re-render. Slugs must stay unique per category,
+   * so a card moved next to a namesake gets a numbered slug.
+   *
+   * @param {object} from - Category it leaves
+   * @param {number} fromIndex
+   * @param {object} to - Category it joins (may be the same)
+   * @param {number} toIndex - Position in `to` after the move
+   * @param {string|null} control - data-edit-action to focus afterwards
+   *   (null after a drag: the pointer, not focus, did the moving)
+   */
+  move(from, fromIndex, to, toIndex, control) {
+    const [project] = from.projects.splice(fromIndex, 1);
+    if (to !== from) project.slug = this.uniqueSlug(to, project.slug);
+    to.projects.splice(toIndex, 0, project);
+
+    this.commit(
+      t("edit.moved", "{title} moved to {category}, position {n}", {
+        title: project.title,
+        category: to.title,
+        n: toIndex + 1,
+      })
+    );
+
+    // Keyboard users keep their place on the card they moved
+    if (control) {
+      this.findCard(to, project)
+        ?.querySelector(`[data-edit-action="${control}"]`)
+        ?.focus();
+    }
+  }
+
+  findCard(category, project) {
+    return this.container.querySelector(
+      `.project-carousel-card[data-category="${CSS.escape(
+        category.id
+      )}"][data-project="${CSS.escape(project.slug)}"]`
+    );
+  }
+
+  // ------------------------------------------------------------------------
+  // Drag and drop
+  // ------------------------------------------------------------------------
+
+  handleDragStart(e) {
+    const handle = e.target.closest?.(".edit-handle");
+    const found = handle && this.locate(handle);
+    if (!found) return;
+
+    const card = handle.closest(".project-carousel-card");
+    this.dragged = { category: found.category, index: found.index };
+    e.dataTransfer.effectAllowed = "move";
+    // Some browsers only start a drag that carries data
+    e.dataTransfer.setData("text/plain", found.project.slug);
+    e.dataTransfer.setDragImage?.(card, 20, 20);
+    card.classList.add("is-dragged");
+  }
+
+  handleDragOver(e) {
+    const track = e.target.closest(".carousel-track");
+    if (!track || !this.dragged) return;
+
+    // Allows the drop
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "move";
+
+    const index = this.getDropIndex(track, e.clientX, e.clientY);
+    this.container
+      .querySelectorAll(".is-drop-before, .is-drop-end")
+      .forEach((el) => el.classList.remove("is-drop-before", "is-drop-end"));
+    const cards = track.querySelectorAll(".project-carousel-card");
+    if (cards[index]) cards[index].classList.add("is-drop-before");
+    else track.classList.add("is-drop-end");
+  }
+
+  handleDrop(e) {
+    const track = e.target.closest(".carousel-track");
+    if (!track || !this.dragged) return;
+    e.preventDefault();
+
+    const to = this.getCategory(
+      track.closest(".projects-category").dataset.category
+    );
+    const { category: from, index: fromIndex } = this.dragged;
+    let toIndex = this.getDropIndex(track, e.clientX, e.clientY);
+    // Dropped later in its own category: the gap it leaves shifts the rest
+    if (to === from && toIndex > fromIndex) toIndex--;
+
+    this.clearDrag();
+    if (to === from && toIndex === fromIndex) return;
+    this.move(from, fromIndex, to, toIndex, null);
+  }
+
+  /**
+   * Where a drop at (x, y) lands: before the first card that comes after
+   * the pointer in reading order (the edit layout wraps into rows).
+   *
+   * @returns {number}
+   */
+  getDropIndex(track, x, y) {
+    const cards = Array.from(track.querySelectorAll(".project-carousel-card"));
+    const index = cards.findIndex((card) => {
+      const rect = card.getBoundingClientRect();
+      if (y < rect.top) return true;
+      return y <= rect.bottom && x < rect.left + rect.width / 2;
+    });
+    return index === -1 ? cards.length : index;
+  }
+
+  clearDrag() {
+    this.dragged = null;
+    this.container
+      .querySelectorAll(".is-dragged, .is-drop-before, .is-drop-end")
+      .forEach((el) =>
+        el.classList.remove("is-dragged", "is-drop-before", "is-drop-end")
+      );
+  }
+
+  // ------------------------------------------------------------------------
+  // Saving and exporting
+  // ------------------------------------------------------------------------
+
+  /** Save, re-render and say what happened. */
+  commit(message) {
+    this.save();
+    this.render();
+    this.setStatus(message);
+  }
+
+  /** Keep the draft in this browser until it is exported. */
+  save() {
+    try {
+      localStorage.setItem(EditMode.STORAGE_KEY, JSON.stringify(this.data));
+    } catch (error) {
+      // Storage full or disabled: the changes last until the page closes
+      console.warn("⚠️ Edit draft could not be saved:", error);
+      this.setStatus(
+        t("edit.notSaved", "Could not save in this browser: export soon")
+      );
+    }
+  }
+
+  clearDraft() {
+    try {
+      localStorage.removeItem(EditMode.STORAGE_KEY);
+    } catch {
+      // Nothing stored
+    }
+  }
+
+  /**
+   * Download the data as projects.json, or as the HTML the page would
+   * render from it (without any editing controls).
+   *
+   * @param {"json"|"html"} format
+   */
+  export(format) {
+    const { data } = this;
+
+    if (format === "html") {
+      const html = data.categories
+        .map((category) => createCategory(category).outerHTML)
+        .join("\n");
+      this.download(
+        "projects.html",
+        `<!-- Project categories, exported from ?edit. Paste them inside the
+     [data-projects-src] container and add data-prerendered to it. -->\n${html}\n`,
+        "text/html"
+      );
+    } else {
+      try {
+        validateProjects(data, "The edited projects");
+      } catch (error) {
+        this.setStatus(error.message);
+        return;
+      }
+      this.download(
+        "projects.json",
+        `${JSON.stringify(data, null, 2)}\n`,
+        "application/json"
+      );
+    }
+
+    this.clearDraft();
+    this.setStatus(
+      t(
+        "edit.exported",
+        "Exported {file}. The draft in this browser was cleared.",
+        {
+          file: format === "html" ? "projects.html" : "projects.json",
+        }
+      )
+    );
+  }
+
+  download(filename, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = createElement("a", { href: url, download: filename });
+    document.body.append(link);
+    link.click();
+    link.remove();
+    // Revoked later: some browsers read the file after click() returns
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /** Differs from the published projects (even once exported). */
+  get isModified() {
+    return JSON.stringify(this.data) !== JSON.stringify(this.original);
+  }
+
+  /** Throw the draft away and go back to the published projects. */
+  discard() {
+    if (!this.isModified) return;
+    if (!window.confirm(t("edit.confirmDiscard", "Discard every change?"))) {
+      return;
+    }
+
+    this.clearDraft();
+    this.data = structuredClone(this.original);
+    this.render();
+    this.setStatus(t("edit.discarded", "Changes discarded"));
+  }
+
+  setStatus(message) {
+    if (this.status) this.status.textContent = message;
+  }
+
+  destroy() {
+    this.listeners.abort();
+    document.documentElement.classList.remove("is-editing");
+    if (this.toolbar) this.toolbar.hidden = true;
+
+    // Leave plain cards behind (the next init() renders them again anyway)
+    this.container
+      .querySelectorAll(".edit-handle, .edit-card-tools, .edit-add")
+      .forEach((el) => el.remove());
+    this.container
+      .querySelectorAll("[contenteditable]")
+      .forEach((el) => el.removeAttribute("contenteditable"));
+  }
+}
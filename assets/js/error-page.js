@@ -0,0 +1,28 @@
+// ==========================================================================
+// ERROR PAGES (404 / OFFLINE)
+// Shared script for 404.html and offline.html. They do not load main.js,
+// so the translations are started here, with the same dictionaries and the
+// same saved language as the rest of the site. Both pages get the starfield
+// (starfield.js); 404.html also suggests where a broken link was meant to
+// go (not-found.js).
+// ==========================================================================
+
+function initErrorPage() {
+  const i18n = new I18n();
+  i18n.setLocale(I18n.detect(), { persist: false }).catch((error) => {
+    console.error("⚠️ Translations could not be loaded:", error);
+  });
+
+  const canvas = document.querySelector(".starfield");
+  if (canvas) new Starfield(canvas);
+
+  const suggestions = document.querySelector(".error-suggestions");
+  if (suggestions) new NotFoundSuggestions(suggestions).suggest();
+}
+
+// Initialize when DOM is ready
+if (document.readyState === "loading") {
+  document.addEventListener("DOMContentLoaded", initErrorPage);
+} else {
+  initErrorPage();
+}
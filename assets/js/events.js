@@ -0,0 +1,59 @@
+// ==========================================================================
+// PORTFOLIO EVENTS
+// ==========================================================================
+
+/**
+ * The public events of the page: what visitors look at and change.
+ *
+ * 🎓 WHY DOM EVENTS?
+ * The carousels, the lightbox and the theme engine should not need to know
+ * who is interested (analytics.js, your own script, a browser extension…).
+ * They dispatch a CustomEvent that bubbles up to `document`, and anyone can
+ * listen there:
+ *
+ *   document.addEventListener("portfolio:modal-open", (e) => {
+ *     console.log(e.detail.project); // "volkov"
+ *   });
+ *
+ * 📐 THE EVENTS (every `detail` holds plain values, safe to JSON.stringify):
+ *
+ * portfolio:slide-change  (on the `.projects-carousel`)
+ *   { category, project, title, index, previousIndex, total, animated }
+ *   animated: false for programmatic jumps, e.g. the carousel following
+ *   the lightbox
+ *
+ * portfolio:modal-open  (on the dialog, for the first image and every
+ *   previous/next)
+ *   { modal: "lightbox", category, project, title, index, total }
+ *
+ * portfolio:modal-close  (on the dialog)
+ *   { modal: "lightbox", category, project, duration } - duration in ms
+ *
+ * portfolio:theme-change  (on <html>)
+ *   { mode, theme, palette, previous: { mode, theme, palette }, source }
+ *   theme is what shows ("dark" | "light"), mode can also be "system";
+ *   source: "user", "system" (OS switch) or "sync" (another tab)
+ *
+ * portfolio:section-view  (on the <section>, when it becomes the one the
+ *   reader is in; see scrollspy.js)
+ *   { section, title }
+ */
+const PORTFOLIO_EVENTS = Object.freeze({
+  SLIDE_CHANGE: "portfolio:slide-change",
+  MODAL_OPEN: "portfolio:modal-open",
+  MODAL_CLOSE: "portfolio:modal-close",
+  THEME_CHANGE: "portfolio:theme-change",
+  SECTION_VIEW: "portfolio:section-view",
+});
+
+/**
+ * Dispatch one of PORTFOLIO_EVENTS from `target`. It bubbles, so
+ * `document` hears every event of the page.
+ *
+ * @param {EventTarget} target
+ * @param {string} type - A PORTFOLIO_EVENTS value
+ * @param {object} detail
+ */
+function emitPortfolioEvent(target, type, detail) {
+  target.dispatchEvent(new CustomEvent(type, { bubbles: true, detail }));
+}
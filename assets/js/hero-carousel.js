@@ -0,0 +1,272 @@
+// ==========================================================================
+// HERO BACKGROUND CAROUSEL
+// ==========================================================================
+
+/**
+ * Crossfading background slideshow behind the hero title.
+ *
+ * 🎓 WHAT THIS DOES:
+ * - Shows each `.carousel-slide` for its own interval, then crossfades
+ * - Preloads and decodes the NEXT image before fading to it, so a slide
+ *   never appears as a flat background colour while its image downloads
+ * - Loads ImageKit images at the size of the viewport, not the original
+ *   upload, and shows the first one blurred until it is ready (blur-up)
+ * - Pauses automatically when it cannot be seen:
+ *   the tab is hidden (Page Visibility API) or the hero is scrolled out of
+ *   view (IntersectionObserver)
+ * - Starts paused under prefers-reduced-motion, and follows live changes
+ * - A pause/play button gives the visitor the final say (WCAG 2.2.2)
+ *
+ * 📐 EXPECTED MARKUP:
+ *   <div class="hero-carousel" data-interval="3000" data-transition="1500">
+ *     <div class="carousel-slide active" data-bg="https://…"></div>
+ *     <div class="carousel-slide" data-bg="https://…" data-interval="6000"></div>
+ *   </div>
+ *   <button class="hero-carousel-toggle">…</button>
+ *
+ * - data-interval   → ms each slide stays on screen (per slide or container)
+ * - data-transition → crossfade duration in ms (per slide or container)
+ * - data-bg         → image loaded on demand (the active slide right away,
+ *                     the others just before they are shown)
+ */
+class HeroCarousel {
+  static defaults = {
+    interval: 3000,
+    transition: 1500,
+  };
+
+  /**
+   * @param {HTMLElement} root - The `.hero-carousel` element
+   * @param {object} [options]
+   * @param {HTMLButtonElement|null} [options.toggle] - Pause/play button
+   */
+  constructor(root, { toggle = null } = {}) {
+    this.root = root;
+    this.slides = Array.from(root.querySelectorAll(".carousel-slide"));
+    this.toggle = toggle;
+    this.hero = root.closest(".hero") || root;
+
+    this.currentIndex = Math.max(
+      this.slides.findIndex((slide) => slide.classList.contains("active")),
+      0
+    );
+    this.timer = null;
+    this.loads = new Map(); // slide → Promise<boolean>
+
+    // Why we are paused. The slideshow only runs while this set is empty.
+    this.pauseReasons = new Set();
+
+    this.reducedMotion = window.matchMedia("(prefers-reduced-motion: reduce)");
+    this.listeners = new AbortController();
+
+    this.slides.forEach((slide) => {
+      slide.style.transitionDuration = `${this.getTransition(slide)}ms`;
+    });
+
+    if (this.reducedMotion.matches) this.pauseReasons.add("motion");
+    if (document.hidden) this.pauseReasons.add("hidden");
+
+    // The first slide loads straight away, behind its blurred placeholder
+    const first = this.slides[this.currentIndex];
+    if (first) {
+      const placeholder =
+        first.dataset.bg && ImageKit.placeholder(first.dataset.bg);
+      if (placeholder) first.style.backgroundImage = `url("${placeholder}")`;
+      this.preload(first).then((loaded) => {
+        if (!loaded) console.warn("⚠️ First hero slide failed to load");
+      });
+    }
+
+    this.bindEvents();
+    this.updateToggle();
+    this.schedule();
+  }
+
+  get isPlaying() {
+    return this.pauseReasons.size === 0;
+  }
+
+  /** Paused by the visitor or by reduced motion: the button offers play. */
+  get isPausedByChoice() {
+    return this.pauseReasons.has("user") || this.pauseReasons.has("motion");
+  }
+
+  getInterval(slide) {
+    return Number(
+      slide.dataset.interval ||
+        this.root.dataset.interval ||
+        HeroCarousel.defaults.interval
+    );
+  }
+
+  getTransition(slide) {
+    return Number(
+      slide.dataset.transition ||
+        this.root.dataset.transition ||
+        HeroCarousel.defaults.transition
+    );
+  }
+
+  bindEvents() {
+    const { signal } = this.listeners;
+
+    this.toggle?.addEventListener(
+      "click",
+      () => {
+        if (!this.isPausedByChoice) {
+          this.pause("user");
+          return;
+        }
+        // Pressing play also overrides reduced motion: it was asked for
+        this.pauseReasons.delete("motion");
+        this.resume("user");
+      },
+      { signal }
+    );
+
+    document.addEventListener(
+      "visibilitychange",
+      () => {
+        if (document.hidden) this.pause("hidden");
+        else this.resume("hidden");
+      },
+      { signal }
+    );
+
+    document.addEventListener("i18n:change", () => this.updateToggle(), {
+      signal,
+    });
+
+    this.reducedMotion.addEventListener(
+      "change",
+      (e) => {
+        // Its own reason: a pause chosen with the button outlives this
+        if (e.matches) this.pause("motion");
+        else this.resume("motion");
+      },
+      { signal }
+    );
+
+    this.observer = new IntersectionObserver(
+      ([entry]) => {
+        if (entry.isIntersecting) this.resume("offscreen");
+        else this.pause("offscreen");
+      },
+      { threshold: 0 }
+    );
+    this.observer.observe(this.hero);
+  }
+
+  /**
+   * @param {"user"|"motion"|"hidden"|"offscreen"} reason
+   */
+  pause(reason) {
+    this.pauseReasons.add(reason);
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.updateToggle();
+  }
+
+  /**
+   * @param {"user"|"motion"|"hidden"|"offscreen"} reason
+   */
+  resume(reason) {
+    this.pauseReasons.delete(reason);
+    this.updateToggle();
+    this.schedule();
+  }
+
+  /** Queue the next slide, and start loading it in the meantime. */
+  schedule() {
+    if (!this.isPlaying || this.timer || this.slides.length < 2) return;
+
+    const current = this.slides[this.currentIndex];
+    const nextIndex = (this.currentIndex + 1) % this.slides.length;
+    const ready = this.preload(this.slides[nextIndex]);
+
+    const timer = setTimeout(async () => {
+      const loaded = await ready;
+      // Paused (or paused and resumed) while the image was loading
+      if (this.timer !== timer) return;
+      this.timer = null;
+
+      if (loaded) {
+        this.show(nextIndex);
+      } else {
+        // Broken image: drop the slide rather than fade to a flat colour
+        console.warn("⚠️ Hero slide skipped, image failed to load");
+        this.slides[nextIndex].remove();
+        this.slides.splice(nextIndex, 1);
+        if (nextIndex < this.currentIndex) this.currentIndex--;
+      }
+      this.schedule();
+    }, this.getInterval(current));
+    this.timer = timer;
+  }
+
+  /**
+   * Download and decode a slide's `data-bg` image, then apply it.
+   *
+   * 📐 The image goes into the `--slide-image` custom property, painted by
+   * the slide's ::after layer (layout.css). That layer fades in over
+   * whatever the slide shows meanwhile: a colour or the blurred placeholder.
+   *
+   * @param {HTMLElement} slide
+   * @returns {Promise<boolean>} true once the image is ready to show
+   */
+  preload(slide) {
+    if (!slide.dataset.bg || slide.classList.contains("is-loaded")) {
+      return Promise.resolve(true);
+    }
+    if (this.loads.has(slide)) return this.loads.get(slide);
+
+    // Sized for the viewport: `cover` fills the longer side, so use that
+    const src = ImageKit.url(slide.dataset.bg, {
+      width: ImageKit.fitWidth(Math.max(window.innerWidth, window.innerHeight)),
+    });
+
+    const img = new Image();
+    img.src = src;
+
+    const load = img
+      .decode()
+      .then(() => {
+        slide.style.setProperty("--slide-image", `url("${src}")`);
+        // data-bg stays: the print catalogue reads its cover from it
+        slide.classList.add("is-loaded");
+        return true;
+      })
+      .catch(() => false)
+      .finally(() => this.loads.delete(slide));
+
+    this.loads.set(slide, load);
+    return load;
+  }
+
+  show(index) {
+    this.slides[this.currentIndex].classList.remove("active");
+    this.currentIndex = index;
+    this.slides[this.currentIndex].classList.add("active");
+  }
+
+  updateToggle() {
+    if (!this.toggle) return;
+
+    const isPaused = this.isPausedByChoice;
+    this.toggle.setAttribute(
+      "aria-label",
+      isPaused
+        ? t("hero.play", "Play background slideshow")
+        : t("hero.pause", "Pause background slideshow")
+    );
+    this.toggle.dataset.state = isPaused ? "paused" : "playing";
+  }
+
+  /** Stop the slideshow and remove every listener and observer. */
+  destroy() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.listeners.abort();
+    this.observer.disconnect();
+  }
+}
@@ -0,0 +1,254 @@
+// ==========================================================================
+// INTERNATIONALISATION (EN / ES)
+// ==========================================================================
+
+/**
+ * Translates the page from per-locale dictionary files.
+ *
+ * 🎓 WHAT THIS DOES:
+ * - Replaces the text of every `[data-i18n]` element with the dictionary
+ *   entry for its key
+ * - Translates attributes too (aria-label, alt, placeholder, meta content…)
+ * - Sets <html lang>, so screen readers switch pronunciation and the
+ *   browser offers the right spell-checker
+ * - Remembers the visitor's choice; on a first visit, follows the browser
+ *   language (falling back to English)
+ *
+ * 📐 MARKUP:
+ *   <h2 data-i18n="about.title">About Me</h2>
+ *   <button data-i18n-attr="aria-label:nav.menu">…</button>
+ *   <img data-i18n-attr="alt:hero.alt title:hero.title" />
+ *
+ * Dictionaries live in assets/i18n/<locale>.json. Keys are dot paths into
+ * nested objects: "about.title" → { "about": { "title": "…" } }.
+ * The English text in the HTML is the fallback: a key missing from a
+ * dictionary leaves the original text in place.
+ *
+ * 🎯 ADDING A LANGUAGE:
+ * 1. Copy assets/i18n/en.json to e.g. fr.json and translate the values
+ * 2. Add "fr" to I18n.LOCALES
+ * 3. Add a <button data-locale-switch="fr"> to the nav switcher
+ */
+class I18n {
+  static LOCALES = ["en", "es"];
+  static DEFAULT_LOCALE = "en";
+  static STORAGE_KEY = "locale";
+
+  /** The running instance, used by the global t() helper. */
+  static current = null;
+
+  /**
+   * The saved choice, else the first browser language we support.
+   *
+   * @returns {string}
+   */
+  static detect() {
+    try {
+      const saved = localStorage.getItem(I18n.STORAGE_KEY);
+      if (I18n.LOCALES.includes(saved)) return saved;
+    } catch {
+      // Storage disabled: fall through to the browser language
+    }
+
+    const preferred = navigator.languages?.length
+      ? navigator.languages
+      : [navigator.language];
+    for (const language of preferred) {
+      const base = String(language).toLowerCase().split("-")[0];
+      if (I18n.LOCALES.includes(base)) return base;
+    }
+    return I18n.DEFAULT_LOCALE;
+  }
+
+  /**
+   * Replace `{name}` placeholders.
+   *
+   * @param {string} text - e.g. "Slide {n} of {total}"
+   * @param {Record<string, string|number>} [vars]
+   * @returns {string}
+   */
+  static format(text, vars = {}) {
+    return text.replace(/\{(\w+)\}/g, (match, name) =>
+      name in vars ? String(vars[name]) : match
+    );
+  }
+
+  /**
+   * @param {object} [options]
+   * @param {string} [options.path="./assets/i18n"] - Folder of <locale>.json
+   */
+  constructor({ path = "./assets/i18n" } = {}) {
+    this.path = path;
+    this.locale = null;
+    this.dictionary = {};
+    this.dictionaries = new Map(); // locale → Promise<object>
+    this.originals = new WeakMap(); // element → { text, attrs }
+    this.listeners = new AbortController();
+
+    I18n.current = this;
+    this.bindEvents();
+  }
+
+  bindEvents() {
+    // Delegated, so switchers added later work too
+    document.addEventListener(
+      "click",
+      (e) => {
+        const button = e.target.closest("[data-locale-switch]");
+        if (!button) return;
+        this.setLocale(button.dataset.localeSwitch).catch((error) =>
+          console.error("⚠️ Language could not be changed:", error)
+        );
+      },
+      { signal: this.listeners.signal }
+    );
+  }
+
+  /**
+   * Fetch a dictionary (once per locale).
+   *
+   * @param {string} locale
+   * @returns {Promise<object>}
+   */
+  load(locale) {
+    if (!this.dictionaries.has(locale)) {
+      const request = fetch(`${this.path}/${locale}.json`).then((response) => {
+        if (!response.ok) {
+          throw new Error(`${locale}.json: HTTP ${response.status}`);
+        }
+        return response.json();
+      });
+      // Forget failures, so a later attempt can retry
+      request.catch(() => this.dictionaries.delete(locale));
+      this.dictionaries.set(locale, request);
+    }
+    return this.dictionaries.get(locale);
+  }
+
+  /**
+   * Switch language: load the dictionary, translate the page, tell the
+   * components (they listen for `i18n:change` on document).
+   *
+   * @param {string} locale
+   * @param {object} [options]
+   * @param {boolean} [options.persist=true] - Remember the choice
+   */
+  async setLocale(locale, { persist = true } = {}) {
+    if (!I18n.LOCALES.includes(locale)) {
+      throw new Error(`Unsupported locale "${locale}"`);
+    }
+
+    this.dictionary = await this.load(locale);
+    this.locale = locale;
+    document.documentElement.lang = locale;
+
+    if (persist) {
+      try {
+        localStorage.setItem(I18n.STORAGE_KEY, locale);
+      } catch {
+        // Not remembered, but the page is still translated
+      }
+    }
+
+    this.translate(document);
+    this.updateSwitchers();
+
+    document.dispatchEvent(
+      new CustomEvent("i18n:change", { detail: { locale } })
+    );
+  }
+
+  /**
+   * @param {string} key - Dot path, e.g. "contact.form.send"
+   * @returns {string|null} null when the key is missing
+   */
+  lookup(key) {
+    const value = key
+      .split(".")
+      .reduce(
+        (node, part) => (node == null ? node : node[part]),
+        this.dictionary
+      );
+    return typeof value === "string" ? value : null;
+  }
+
+  /**
+   * Translate a string for JavaScript-generated text.
+   *
+   * @param {string} key
+   * @param {string} fallback - English text, used when the key is missing
+   * @param {Record<string, string|number>} [vars]
+   * @returns {string}
+   */
+  t(key, fallback, vars) {
+    return I18n.format(this.lookup(key) ?? fallback, vars);
+  }
+
+  /**
+   * Translate every marked element inside `root`.
+   *
+   * @param {ParentNode} [root=document]
+   */
+  translate(root = document) {
+    const elements = root.querySelectorAll("[data-i18n], [data-i18n-attr]");
+    const all = root.matches?.("[data-i18n], [data-i18n-attr]")
+      ? [root, ...elements]
+      : elements;
+
+    all.forEach((el) => {
+      // Keep the original (English) text, for keys a dictionary lacks
+      if (!this.originals.has(el)) {
+        this.originals.set(el, { text: el.textContent, attrs: {} });
+      }
+      const original = this.originals.get(el);
+
+      if (el.dataset.i18n) {
+        el.textContent = this.lookup(el.dataset.i18n) ?? original.text;
+      }
+
+      (el.dataset.i18nAttr || "").split(/\s+/).forEach((pair) => {
+        const [attr, key] = pair.split(":");
+        if (!attr || !key) return;
+
+        if (!(attr in original.attrs)) {
+          original.attrs[attr] = el.getAttribute(attr);
+        }
+        const value = this.lookup(key) ?? original.attrs[attr];
+        if (value !== null) el.setAttribute(attr, value);
+      });
+    });
+  }
+
+  updateSwitchers() {
+    document.querySelectorAll("[data-locale-switch]").forEach((button) => {
+      button.setAttribute(
+        "aria-pressed",
+        String(button.dataset.localeSwitch === this.locale)
+      );
+    });
+  }
+
+  destroy() {
+    this.listeners.abort();
+    if (I18n.current === this) I18n.current = null;
+  }
+}
+
+/**
+ * Shortcut for translated strings in other modules.
+ *
+ * 🎓 Works before (or without) the dictionaries: until they load, the
+ * English fallback is returned, so components never show raw keys.
+ *
+ *   t("lightbox.counter", "{n} of {total}", { n: 2, total: 9 })
+ *
+ * @param {string} key
+ * @param {string} fallback
+ * @param {Record<string, string|number>} [vars]
+ * @returns {string}
+ */
+function t(key, fallback, vars) {
+  return I18n.current
+    ? I18n.current.t(key, fallback, vars)
+    : I18n.format(fallback, vars);
+}
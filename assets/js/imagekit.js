@@ -0,0 +1,156 @@
+// ==========================================================================
+// IMAGEKIT RESPONSIVE IMAGES
+// ==========================================================================
+
+/**
+ * Rewrites ImageKit URLs into right-sized variants.
+ *
+ * 🎓 WHY?
+ * The artwork is uploaded at full print resolution (several MB each). A
+ * phone showing a 400px-wide card only needs a fraction of that. ImageKit
+ * resizes on the fly when the URL asks for it:
+ *
+ *   https://ik.imagekit.io/…/art.jpg?tr=w-640,q-80,f-auto
+ *     w-640  → 640px wide (height follows the aspect ratio)
+ *     q-80   → quality 80 (visually lossless for illustrations)
+ *     f-auto → WebP/AVIF when the browser supports it
+ *
+ * 📐 WHAT YOU GET:
+ * - ImageKit.url()         → one variant
+ * - ImageKit.srcset()      → every variant, for <img srcset> (the browser
+ *                            picks one using `sizes`)
+ * - ImageKit.placeholder() → a tiny blurred preview (~1 KB)
+ * - ImageKit.fitWidth()    → the variant width for an element on screen
+ * - ImageKit.blurUp()      → shows the preview, then fades to the real
+ *                            image once it has decoded
+ *
+ * URLs from anywhere else are returned unchanged, so non-ImageKit images
+ * keep working.
+ */
+class ImageKit {
+  static HOST = "ik.imagekit.io";
+
+  /** Variant widths, so browsers and the CDN cache share a few files. */
+  static WIDTHS = [320, 480, 640, 800, 1080, 1440, 1920, 2560];
+
+  static QUALITY = 80;
+
+  /**
+   * @param {string} src
+   * @returns {boolean}
+   */
+  static isImageKit(src) {
+    try {
+      return new URL(src, location.href).hostname === ImageKit.HOST;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Build a transformed URL.
+   *
+   * @param {string} src - Original ImageKit URL (may already have a query)
+   * @param {object} [options]
+   * @param {number} [options.width]
+   * @param {number} [options.quality=ImageKit.QUALITY]
+   * @param {number} [options.blur] - 1–100, for placeholders
+   * @returns {string}
+   */
+  static url(src, { width, quality = ImageKit.QUALITY, blur } = {}) {
+    if (!ImageKit.isImageKit(src)) return src;
+
+    const transforms = [
+      width && `w-${Math.round(width)}`,
+      `q-${quality}`,
+      blur && `bl-${blur}`,
+      "f-auto",
+    ].filter(Boolean);
+
+    // Replace any existing transformation, keep the rest (e.g. updatedAt)
+    const url = new URL(src, location.href);
+    url.searchParams.delete("tr");
+    const query = url.search ? `${url.search}&` : "?";
+    return `${url.origin}${url.pathname}${query}tr=${transforms.join(",")}`;
+  }
+
+  /**
+   * @param {string} src
+   * @param {number[]} [widths=ImageKit.WIDTHS]
+   * @returns {string} e.g. "…w-320… 320w, …w-640… 640w" ("" if not ImageKit)
+   */
+  static srcset(src, widths = ImageKit.WIDTHS) {
+    if (!ImageKit.isImageKit(src)) return "";
+    return widths
+      .map((width) => `${ImageKit.url(src, { width })} ${width}w`)
+      .join(", ");
+  }
+
+  /**
+   * A tiny, blurred version to show while the real image downloads.
+   *
+   * @param {string} src
+   * @returns {string|null} null when the image is not on ImageKit
+   */
+  static placeholder(src) {
+    if (!ImageKit.isImageKit(src)) return null;
+    return ImageKit.url(src, { width: 32, quality: 30, blur: 10 });
+  }
+
+  /**
+   * The smallest variant that covers `cssWidth` on this screen.
+   *
+   * 🎓 A 400px-wide element on a 2x ("retina") screen needs 800 real
+   * pixels. DPR is capped at 2: the difference above that is invisible and
+   * the files get much heavier.
+   *
+   * @param {number} cssWidth
+   * @returns {number}
+   */
+  static fitWidth(cssWidth) {
+    const needed = cssWidth * Math.min(window.devicePixelRatio || 1, 2);
+    return (
+      ImageKit.WIDTHS.find((width) => width >= needed) ||
+      ImageKit.WIDTHS[ImageKit.WIDTHS.length - 1]
+    );
+  }
+
+  /**
+   * Blur-up loading for an <img>: the placeholder is shown as the
+   * container's background, and the image fades in once decoded.
+   *
+   * 📐 CSS CONTRACT:
+   * `.is-blur-up` hides the image, `.is-loaded` fades it in (see
+   * components2.css).
+   *
+   * @param {HTMLImageElement} img
+   * @param {HTMLElement} container - Element that shows the placeholder
+   * @param {string} [src] - Original URL, for the placeholder (leave out
+   *   when the container already shows one, e.g. pre-rendered markup)
+   */
+  static blurUp(img, container, src) {
+    const placeholder = src && ImageKit.placeholder(src);
+    if (placeholder) {
+      container.style.backgroundImage = `url("${placeholder}")`;
+    }
+    container.classList.add("is-blur-up");
+
+    const reveal = () => {
+      container.classList.add("is-loaded");
+    };
+
+    // Lazy images only start loading near the viewport, so wait for `load`
+    // first; decode() then makes sure the fade starts on a ready bitmap
+    const onLoad = () =>
+      img
+        .decode()
+        .catch(() => {})
+        .then(reveal);
+    if (img.complete && img.naturalWidth > 0) onLoad();
+    else {
+      img.addEventListener("load", onLoad, { once: true });
+      // Broken image: show the alt text instead of an endless blur
+      img.addEventListener("error", reveal, { once: true });
+    }
+  }
+}
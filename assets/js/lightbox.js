@@ -0,0 +1,522 @@
+// ==========================================================================
+// LIGHTBOX GALLERY
+// ==========================================================================
+
+/**
+ * Full-screen gallery for project images.
+ *
+ * 🎓 WHAT THIS DOES:
+ * - Opens when a project image is activated (click, Enter or Space)
+ * - Previous/next moves within the CURRENT category only (or within the
+ *   list passed to open(), e.g. filtered search results)
+ * - Shows the project title, description and an "n of m" counter
+ * - Zoom and pan with the mouse wheel, pinch, double-click or the buttons
+ * - Loads the high-res image on open, with a loading state meanwhile
+ *
+ * ♿ ACCESSIBILITY:
+ * - role="dialog" + aria-modal, labelled by the caption title
+ * - Focus moves into the dialog, Tab is trapped inside it, and focus
+ *   returns to the image that opened it on close
+ * - The page behind does not scroll while the dialog is open
+ *
+ * 📐 EXPECTED MARKUP: see `#lightbox` in index.html. Triggers are the
+ * `.project-carousel-open` buttons rendered by projects.js.
+ *
+ * 📐 EVENTS (dispatched on the dialog element):
+ * - lightbox:show  → detail: { card, index }  (on open and on prev/next)
+ * - lightbox:close → detail: { card }
+ * - portfolio:modal-open / portfolio:modal-close, the public versions
+ *   with plain-value details (see events.js)
+ */
+class Lightbox {
+  static MIN_SCALE = 1;
+  static MAX_SCALE = 4;
+  static DOUBLE_CLICK_SCALE = 2.5;
+  static SWIPE_THRESHOLD = 60;
+
+  static FOCUSABLE =
+    'button:not([disabled]), [href], input, select, textarea, [tabindex]:not([tabindex="-1"])';
+
+  /**
+   * @param {HTMLElement} root - The `#lightbox` dialog element
+   */
+  constructor(root) {
+    this.root = root;
+    this.stage = root.querySelector(".lightbox-stage");
+    this.image = root.querySelector(".lightbox-image");
+    this.title = root.querySelector(".lightbox-title");
+    this.description = root.querySelector(".lightbox-description");
+    this.counter = root.querySelector(".lightbox-counter");
+    this.status = root.querySelector(".lightbox-status");
+    this.prevButton = root.querySelector(".lightbox-prev");
+    this.nextButton = root.querySelector(".lightbox-next");
+    this.closeButton = root.querySelector(".lightbox-close");
+
+    this.items = [];
+    this.index = 0;
+    this.trigger = null;
+    this.loadToken = 0;
+    this.openedAt = 0;
+
+    // Zoom/pan state: translate(x, y) scale(scale)
+    this.scale = 1;
+    this.x = 0;
+    this.y = 0;
+    this.pointers = new Map();
+    this.gesture = null;
+
+    this.listeners = new AbortController();
+    this.bindEvents();
+  }
+
+  get isOpen() {
+    return !this.root.hidden;
+  }
+
+  bindEvents() {
+    const { signal } = this.listeners;
+
+    // Delegated: project cards are rendered after this runs
+    document.addEventListener(
+      "click",
+      (e) => {
+        const trigger = e.target.closest(".project-carousel-open");
+        if (trigger) this.open(trigger.closest(".project-carousel-card"));
+      },
+      { signal }
+    );
+
+    this.root.addEventListener(
+      "click",
+      (e) => {
+        if (e.target.closest("[data-lightbox-close]")) this.close();
+        if (e.target.closest(".lightbox-prev")) this.prev();
+        if (e.target.closest(".lightbox-next")) this.next();
+
+        const zoom = e.target.closest("[data-lightbox-zoom]");
+        if (zoom) this.handleZoomButton(zoom.dataset.lightboxZoom);
+      },
+      { signal }
+    );
+
+    this.root.addEventListener("keydown", (e) => this.handleKeydown(e), {
+      signal,
+    });
+
+    // Not passive: we prevent the page from scrolling while zooming
+    this.stage.addEventListener("wheel", (e) => this.handleWheel(e), {
+      passive: false,
+      signal,
+    });
+    this.stage.addEventListener("dblclick", (e) => this.handleDoubleClick(e), {
+      signal,
+    });
+    this.stage.addEventListener(
+      "pointerdown",
+      (e) => this.handlePointerDown(e),
+      { signal }
+    );
+    this.stage.addEventListener(
+      "pointermove",
+      (e) => this.handlePointerMove(e),
+      { signal }
+    );
+    ["pointerup", "pointercancel"].forEach((type) => {
+      this.stage.addEventListener(type, (e) => this.handlePointerUp(e), {
+        signal,
+      });
+    });
+
+    window.addEventListener(
+      "resize",
+      () => {
+        if (this.isOpen) this.applyTransform();
+      },
+      { signal }
+    );
+  }
+
+  // ------------------------------------------------------------------------
+  // Opening, closing and navigation
+  // ------------------------------------------------------------------------
+
+  /**
+   * Collect the gallery items of the card's category.
+   *
+   * @param {HTMLElement} card - A `.project-carousel-card`
+   * @returns {HTMLElement[]}
+   */
+  getCategoryCards(card) {
+    const track = card.closest(".carousel-track");
+    return track
+      ? Array.from(
+          track.querySelectorAll(".project-carousel-card:not(.is-clone)")
+        )
+      : [card];
+  }
+
+  /**
+   * Open the gallery on a project card.
+   *
+   * @param {HTMLElement} card - A `.project-carousel-card`
+   * @param {object} [options]
+   * @param {HTMLElement} [options.trigger] - Where focus returns on close
+   * @param {HTMLElement[]} [options.items] - Cards to browse with
+   *   previous/next (defaults to the card's category)
+   */
+  open(card, { trigger, items } = {}) {
+    if (!card) return;
+
+    this.items = items?.includes(card) ? items : this.getCategoryCards(card);
+    this.index = Math.max(this.items.indexOf(card), 0);
+
+    if (!this.isOpen) {
+      this.trigger =
+        trigger ||
+        (document.activeElement !== document.body
+          ? document.activeElement
+          : card.querySelector(".project-carousel-open"));
+      this.lockScroll();
+      this.openedAt = performance.now();
+      this.root.hidden = false;
+      this.closeButton.focus();
+    }
+
+    this.show();
+  }
+
+  close() {
+    if (!this.isOpen) return;
+
+    this.loadToken++;
+    this.root.hidden = true;
+    this.image.removeAttribute("src");
+    this.pointers.clear();
+    this.gesture = null;
+    this.unlockScroll();
+
+    // The carousel followed the gallery, so the original trigger may now be
+    // an inert (off-screen) card: return focus to the card on screen instead
+    const returnTo = this.trigger?.closest("[inert]")
+      ? this.items[this.index]?.querySelector(".project-carousel-open")
+      : this.trigger;
+    returnTo?.focus({ preventScroll: true });
+    this.trigger = null;
+
+    const card = this.items[this.index];
+    this.emit("lightbox:close", { card });
+    emitPortfolioEvent(this.root, PORTFOLIO_EVENTS.MODAL_CLOSE, {
+      modal: "lightbox",
+      category: card?.dataset.category || null,
+      project: card?.dataset.project || null,
+      duration: Math.round(performance.now() - this.openedAt),
+    });
+  }
+
+  next() {
+    if (this.items.length < 2) return;
+    this.index = (this.index + 1) % this.items.length;
+    this.show();
+  }
+
+  prev() {
+    if (this.items.length < 2) return;
+    this.index = (this.index - 1 + this.items.length) % this.items.length;
+    this.show();
+  }
+
+  /** Render the current item: caption, counter and high-res image. */
+  show() {
+    const card = this.items[this.index];
+    const thumb = card.querySelector(".project-carousel-image img");
+
+    this.title.textContent = card.querySelector("h3")?.textContent || "";
+    this.description.textContent = card.querySelector("p")?.textContent || "";
+    this.counter.textContent = t("lightbox.counter", "{n} of {total}", {
+      n: this.index + 1,
+      total: this.items.length,
+    });
+
+    const single = this.items.length < 2;
+    this.prevButton.hidden = single;
+    this.nextButton.hidden = single;
+
+    this.resetZoom();
+    this.loadImage(thumb?.dataset.full || thumb?.src, thumb?.alt || "");
+
+    // Keep the carousel behind the dialog on the same card
+    const carousel = Carousel.getInstance(card.closest(".projects-carousel"));
+    carousel?.showCard(carousel.cards.indexOf(card), { animate: false });
+
+    this.emit("lightbox:show", { card, index: this.index });
+    emitPortfolioEvent(this.root, PORTFOLIO_EVENTS.MODAL_OPEN, {
+      modal: "lightbox",
+      category: card.dataset.category || null,
+      project: card.dataset.project || null,
+      title: this.title.textContent,
+      index: this.index,
+      total: this.items.length,
+    });
+  }
+
+  /**
+   * Notify other modules (e.g. the router) through a DOM event on the
+   * dialog element.
+   */
+  emit(type, detail) {
+    this.root.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
+  /**
+   * Load the full-size image off-screen, then swap it in once decoded.
+   * A token guards against a slow image replacing a newer one.
+   */
+  async loadImage(src, alt) {
+    const token = ++this.loadToken;
+
+    this.stage.classList.add("is-loading");
+    this.stage.classList.remove("is-error");
+    this.status.textContent = t("lightbox.loading", "Loading image…");
+    this.image.removeAttribute("src");
+    this.image.alt = alt;
+
+    const loader = new Image();
+    loader.src = src;
+
+    try {
+      await loader.decode();
+    } catch (error) {
+      if (token !== this.loadToken) return;
+      console.warn("⚠️ Lightbox image failed to load:", src, error);
+      this.stage.classList.remove("is-loading");
+      this.stage.classList.add("is-error");
+      this.status.textContent = t(
+        "lightbox.error",
+        "This image could not be loaded."
+      );
+      return;
+    }
+
+    if (token !== this.loadToken) return;
+    this.image.src = src;
+    this.stage.classList.remove("is-loading");
+    this.status.textContent = "";
+  }
+
+  // ------------------------------------------------------------------------
+  // Scroll lock and focus trap
+  // ------------------------------------------------------------------------
+
+  lockScroll() {
+    // Pad by the scrollbar width so the page doesn't shift sideways
+    const scrollbar = window.innerWidth - document.documentElement.clientWidth;
+    document.body.style.paddingRight = scrollbar ? `${scrollbar}px` : "";
+    document.body.classList.add("is-scroll-locked");
+  }
+
+  unlockScroll() {
+    document.body.classList.remove("is-scroll-locked");
+    document.body.style.paddingRight = "";
+  }
+
+  trapFocus(e) {
+    const focusable = Array.from(
+      this.root.querySelectorAll(Lightbox.FOCUSABLE)
+    ).filter((el) => !el.hidden && !el.closest("[hidden]"));
+    if (focusable.length === 0) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  handleKeydown(e) {
+    const actions = {
+      Escape: () => this.close(),
+      ArrowLeft: () => this.prev(),
+      ArrowRight: () => this.next(),
+      "+": () => this.handleZoomButton("in"),
+      "=": () => this.handleZoomButton("in"),
+      "-": () => this.handleZoomButton("out"),
+      0: () => this.handleZoomButton("reset"),
+    };
+
+    if (e.key === "Tab") {
+      this.trapFocus(e);
+      return;
+    }
+
+    const action = actions[e.key];
+    if (!action) return;
+
+    // Marks the key as handled so page-level shortcuts ignore it
+    e.preventDefault();
+    action();
+  }
+
+  // ------------------------------------------------------------------------
+  // Zoom and pan
+  // ------------------------------------------------------------------------
+
+  resetZoom() {
+    this.scale = 1;
+    this.x = 0;
+    this.y = 0;
+    this.applyTransform();
+  }
+
+  handleZoomButton(action) {
+    if (action === "reset") {
+      this.resetZoom();
+      return;
+    }
+    const factor = action === "in" ? 1.5 : 1 / 1.5;
+    this.zoomTo(this.scale * factor);
+  }
+
+  /**
+   * Zoom so that the point under (clientX, clientY) stays in place.
+   *
+   * 📐 THE MATH:
+   * With the image centred in the stage, a point at offset `p` from the
+   * centre is drawn at `x + p * scale`. Keeping it fixed while the scale
+   * changes gives: x' = p - (p - x) * (scale' / scale).
+   */
+  zoomTo(scale, clientX, clientY) {
+    const next = Math.min(
+      Math.max(scale, Lightbox.MIN_SCALE),
+      Lightbox.MAX_SCALE
+    );
+    const rect = this.stage.getBoundingClientRect();
+    const px =
+      (clientX ?? rect.left + rect.width / 2) - (rect.left + rect.width / 2);
+    const py =
+      (clientY ?? rect.top + rect.height / 2) - (rect.top + rect.height / 2);
+    const ratio = next / this.scale;
+
+    this.x = px - (px - this.x) * ratio;
+    this.y = py - (py - this.y) * ratio;
+    this.scale = next;
+    this.applyTransform();
+  }
+
+  /** Keep the zoomed image covering the stage: no panning past its edges. */
+  clampPan() {
+    const rect = this.stage.getBoundingClientRect();
+    const maxX = Math.max(
+      (this.image.offsetWidth * this.scale - rect.width) / 2,
+      0
+    );
+    const maxY = Math.max(
+      (this.image.offsetHeight * this.scale - rect.height) / 2,
+      0
+    );
+
+    this.x = Math.min(Math.max(this.x, -maxX), maxX);
+    this.y = Math.min(Math.max(this.y, -maxY), maxY);
+  }
+
+  applyTransform() {
+    if (this.scale === 1) {
+      this.x = 0;
+      this.y = 0;
+    } else {
+      this.clampPan();
+    }
+
+    this.image.style.transform = `translate(${this.x}px, ${this.y}px) scale(${this.scale})`;
+    this.stage.classList.toggle("is-zoomed", this.scale > 1);
+  }
+
+  handleWheel(e) {
+    e.preventDefault();
+    // Exponential so trackpads (small deltas) and wheels (big ones) feel alike
+    this.zoomTo(this.scale * Math.exp(-e.deltaY * 0.002), e.clientX, e.clientY);
+  }
+
+  handleDoubleClick(e) {
+    if (this.scale > 1) {
+      this.resetZoom();
+    } else {
+      this.zoomTo(Lightbox.DOUBLE_CLICK_SCALE, e.clientX, e.clientY);
+    }
+  }
+
+  handlePointerDown(e) {
+    if (e.pointerType === "mouse" && e.button !== 0) return;
+
+    this.stage.setPointerCapture?.(e.pointerId);
+    this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    if (this.pointers.size === 2) {
+      const [a, b] = Array.from(this.pointers.values());
+      this.gesture = {
+        type: "pinch",
+        distance: Math.hypot(a.x - b.x, a.y - b.y),
+        scale: this.scale,
+      };
+    } else if (this.pointers.size === 1) {
+      this.gesture = {
+        type: this.scale > 1 ? "pan" : "swipe",
+        startX: e.clientX,
+        startY: e.clientY,
+        lastX: e.clientX,
+        lastY: e.clientY,
+      };
+    }
+  }
+
+  handlePointerMove(e) {
+    if (!this.pointers.has(e.pointerId) || !this.gesture) return;
+    this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    if (this.gesture.type === "pinch" && this.pointers.size === 2) {
+      const [a, b] = Array.from(this.pointers.values());
+      const distance = Math.hypot(a.x - b.x, a.y - b.y);
+      this.zoomTo(
+        this.gesture.scale * (distance / this.gesture.distance),
+        (a.x + b.x) / 2,
+        (a.y + b.y) / 2
+      );
+    } else if (this.gesture.type === "pan") {
+      this.x += e.clientX - this.gesture.lastX;
+      this.y += e.clientY - this.gesture.lastY;
+      this.gesture.lastX = e.clientX;
+      this.gesture.lastY = e.clientY;
+      this.applyTransform();
+    }
+  }
+
+  handlePointerUp(e) {
+    if (!this.pointers.has(e.pointerId)) return;
+    this.pointers.delete(e.pointerId);
+
+    // A horizontal swipe on an un-zoomed image changes the picture
+    if (this.gesture?.type === "swipe") {
+      const dx = e.clientX - this.gesture.startX;
+      const dy = e.clientY - this.gesture.startY;
+      if (
+        Math.abs(dx) > Lightbox.SWIPE_THRESHOLD &&
+        Math.abs(dx) > Math.abs(dy)
+      ) {
+        if (dx < 0) this.next();
+        else this.prev();
+      }
+    }
+
+    this.gesture = null;
+  }
+
+  /** Remove every listener and close the dialog if it is open. */
+  destroy() {
+    this.close();
+    this.listeners.abort();
+  }
+}
@@ -1,170 +1,131 @@
 // ==========================================================================
-// 1. INTERSECTIONOBSERVER CONFIGURATION
+// PORTFOLIO: START AND STOP EVERY FEATURE
 // ==========================================================================
 
 /**
- * Observer options control WHEN the callback fires.
+ * The page script, as an ES module with a small lifecycle API:
  *
- * 📐 UNDERSTANDING THE OPTIONS:
+ *   import { init, destroy } from "./assets/js/main.js";
  *
- * root: The element to use as the viewport for checking visibility.
- *       - null = browser viewport (most common)
- *       - element = custom scroll container
+ *   init(document);               // start everything (index.html does this)
+ *   destroy();                    // remove every listener, observer and timer
  *
- * rootMargin: Expands or shrinks the root's bounding box.
- *       - Format: "top right bottom left" (like CSS margin)
- *       - Negative values shrink the detection area
- *       - "0px 0px -10% 0px" means: trigger when element is 10% INTO the viewport
- *         (not at the very edge, which feels more natural)
+ * 🎓 WHY A LIFECYCLE?
+ * On a normal page a reload cleans up after us. Embedded in a Single Page
+ * Application (React, Vue, …) or re-started after new content is loaded,
+ * nothing reloads: observers keep watching removed elements, timers keep
+ * ticking and a second start would attach every handler twice. destroy()
+ * undoes everything init() did, and init() calls it first, so starting
+ * twice is always safe.
  *
- * threshold: What percentage of the element must be visible to trigger.
- *       - 0 = trigger as soon as 1 pixel is visible
- *       - 0.1 = trigger when 10% is visible
- *       - 1.0 = trigger only when 100% visible
- *       - [0, 0.5, 1] = trigger at multiple thresholds
- */
-const observerOptions = {
-  root: null, // Use the browser viewport
-  rootMargin: "0px 0px -10% 0px", // Trigger 10% before fully visible
-  threshold: 0.1, // Need 10% visibility to trigger
-};
-
-/**
- * CALLBACK: Single-element reveals
- *
- * This function is called by IntersectionObserver whenever an observed
- * element's intersection state changes.
+ * 📐 OPTIONS:
+ *   init(container, {
+ *     features: { serviceWorker: false, heroCarousel: false },
+ *   });
  *
- * @param {IntersectionObserverEntry[]} entries - Array of intersection events
- * @param {IntersectionObserver} observer - The observer instance (for cleanup)
+ * `root` limits every query to one part of the page (default: document).
+ * `features` switches single features off; see FEATURES for the names.
+ * `analytics: { endpoint }` overrides the page's analytics endpoint.
  *
- * 📐 WHAT'S IN AN ENTRY?
- * - entry.isIntersecting: boolean - is element currently visible?
- * - entry.intersectionRatio: number - how much is visible (0-1)
- * - entry.target: Element - the DOM element being observed
- * - entry.boundingClientRect: DOMRect - element's position/size
+ * ⚠️ The feature classes (Carousel, Lightbox, ThemeEngine, …) still come
+ * from the classic <script defer> tags, which run before any module.
  */
-const revealOnScroll = (entries, observer) => {
-  entries.forEach((entry) => {
-    if (entry.isIntersecting) {
-      // Add class that triggers CSS transition (see style.css)
-      entry.target.classList.add("visible");
-
-      // 🎯 PERFORMANCE OPTIMIZATION: Stop observing after reveal
-      // Once an element is revealed, we don't need to watch it anymore.
-      // This reduces work for the observer and prevents re-triggering.
-      observer.unobserve(entry.target);
-    }
-  });
-};
 
 /**
- * CALLBACK: Staggered container reveals
+ * Every feature init() can start, all on by default.
  *
- * Same pattern, but adds 'revealed' class to containers.
- * CSS handles the staggered animation of children via transition-delay.
+ * - projects: renders and hydrates the project carousels; projectView,
+ *   projectFilter and deepLinks build on it
+ * - activeNav: nav highlight, hash sync and reading progress; also fires
+ *   portfolio:section-view (see events.js)
+ * - analytics: records the portfolio:* events (see analytics.js)
+ * - serviceWorker: registered once and never unregistered by destroy()
  */
-const revealStaggered = (entries, observer) => {
-  entries.forEach((entry) => {
-    if (entry.isIntersecting) {
-      entry.target.classList.add("revealed");
-      observer.unobserve(entry.target);
-    }
-  });
-};
+export const FEATURES = Object.freeze({
+  i18n: true,
+  analytics: true,
+  theme: true,
+  scrollAnimations: true,
+  smoothScroll: true,
+  activeNav: true,
+  hamburgerMenu: true,
+  starRatings: true,
+  heroCarousel: true,
+  lightbox: true,
+  projects: true,
+  projectView: true,
+  projectFilter: true,
+  deepLinks: true,
+  editMode: true,
+  printCatalogue: true,
+  commandPalette: true,
+  contactForm: true,
+  serviceWorker: true,
+});
 
 /**
- * CREATE OBSERVER INSTANCES
+ * What the running portfolio needs to stop again, or null when stopped.
  *
- * We create two separate observers because they add different classes.
- * You could use one observer with logic to determine which class to add,
- * but separate observers are clearer and more maintainable.
+ * @type {{
+ *   root: Document|Element,
+ *   options: object,
+ *   features: typeof FEATURES,
+ *   listeners: AbortController,
+ *   cleanups: Function[],
+ *   scrollReveal: ScrollReveal|null,
+ *   themeEngine: ThemeEngine|null,
+ *   lightbox: Lightbox|null,
+ *   printCatalogue: PrintCatalogue|null,
+ * }|null}
  */
-const singleObserver = new IntersectionObserver(
-  revealOnScroll,
-  observerOptions
-);
-const staggerObserver = new IntersectionObserver(
-  revealStaggered,
-  observerOptions
-);
+let app = null;
+
+/** Both Document and Element have querySelector(All). */
+const $ = (selector) => app.root.querySelector(selector);
+const $$ = (selector) => app.root.querySelectorAll(selector);
+
+/** Run `cleanup` when destroy() is called. */
+const onDestroy = (cleanup) => app.cleanups.push(cleanup);
 
 // ==========================================================================
-// 2. INITIALIZE OBSERVERS
+// 1. SCROLL REVEAL ANIMATIONS
 // ==========================================================================
 
 /**
- * Main initialization function for scroll animations.
+ * Reveal headings, paragraphs and grids as they scroll into view, and move
+ * `data-parallax` elements (see scroll-reveal.js for every data attribute).
  *
  * 🎓 KEY CONCEPT: PROGRESSIVE ENHANCEMENT
- * We check for reduced motion FIRST, before setting up any animations.
- * This ensures users who need reduced motion get a good experience immediately.
+ * ScrollReveal checks for reduced motion FIRST, before setting up any
+ * animations: users who need reduced motion see everything immediately.
  *
- * 📐 THE FLOW:
- * 1. Check if user prefers reduced motion
- * 2. If yes → make everything visible immediately, skip animations
- * 3. If no → set up observers to trigger animations on scroll
+ * 📐 USAGE IN HTML:
+ *   <h2 class="animate-on-scroll" data-reveal="slide-left">…</h2>
+ *   <ul data-reveal-stagger="80" data-reveal="scale">…</ul>
  */
 function initScrollAnimations() {
-  /**
-   * CHECK FOR REDUCED MOTION PREFERENCE
-   *
-   * window.matchMedia() is like CSS media queries, but in JavaScript!
-   * It returns a MediaQueryList object with a .matches boolean property.
-   *
-   * This respects the user's OS-level accessibility settings:
-   * - macOS: System Preferences → Accessibility → Display → Reduce motion
-   * - Windows: Settings → Ease of Access → Display → Show animations
-   * - iOS: Settings → Accessibility → Motion → Reduce Motion
-   *
-   * ⚠️ IMPORTANT: Always check this BEFORE initializing animations!
-   */
-  const prefersReducedMotion = window.matchMedia(
-    "(prefers-reduced-motion: reduce)"
-  ).matches;
-
-  if (prefersReducedMotion) {
-    /**
-     * GRACEFUL DEGRADATION FOR REDUCED MOTION
-     *
-     * Instead of animations, we immediately show all content.
-     * Users get the same information, just without the motion.
-     *
-     * This is NOT about removing features — it's about providing
-     * an equivalent experience for users who need it.
-     */
-    document.querySelectorAll(".animate-on-scroll").forEach((el) => {
-      el.classList.add("visible");
-    });
-    document.querySelectorAll("[data-reveal-stagger]").forEach((el) => {
-      el.classList.add("revealed");
-    });
-    return; // Exit early — no observers needed
-  }
+  const scrollReveal = new ScrollReveal(app.root);
 
-  /**
-   * OBSERVE ELEMENTS FOR SCROLL-TRIGGERED ANIMATIONS
-   *
-   * querySelectorAll returns a NodeList (array-like).
-   * forEach loops through each element and tells the observer to watch it.
-   *
-   * Once observed, the callback (revealOnScroll) will fire when the
-   * element enters the viewport according to our observerOptions.
-   */
-
-  // Single element reveals (e.g., headings, paragraphs)
-  document.querySelectorAll(".animate-on-scroll").forEach((el) => {
-    singleObserver.observe(el);
-  });
+  // The project grids are rendered later and observed by initProjects()
+  app.scrollReveal = scrollReveal;
+  onDestroy(() => scrollReveal.destroy());
+}
 
-  // Staggered container reveals (e.g., skill grids, project cards)
-  document.querySelectorAll("[data-reveal-stagger]").forEach((el) => {
-    staggerObserver.observe(el);
+/**
+ * Show reveal elements straight away, without observing them: used when
+ * the scrollAnimations feature is off, since only ScrollReveal would
+ * otherwise lift their hidden starting state.
+ *
+ * @param {Iterable<HTMLElement>} elements
+ */
+function showWithoutReveal(elements) {
+  Array.from(elements).forEach((el) => {
+    el.classList.add(ScrollReveal.stateClass(el));
   });
 }
 
 // ==========================================================================
-// 3. SMOOTH SCROLL FOR ANCHOR LINKS
+// 2. SMOOTH SCROLL FOR ANCHOR LINKS
 // ==========================================================================
 
 /**
@@ -179,22 +140,38 @@ function initScrollAnimations() {
  * This JavaScript approach gives us full control while still being simple.
  *
  * 📐 THE PATTERN:
- * 1. Find all links starting with "#" (anchor links)
+ * 1. Listen for clicks on links starting with "#" (anchor links)
  * 2. On click, prevent default jump behavior
  * 3. Calculate target position accounting for fixed nav height
  * 4. Smoothly scroll to that position
  * 5. Update URL for bookmarking/sharing
+ *
+ * 🎯 One delegated listener on the root (instead of one per link) also
+ * covers links added after init(), and is removed by destroy() in one go.
  */
 function initSmoothScroll() {
-  // Select all anchor links (href starts with "#")
-  document.querySelectorAll('a[href^="#"]').forEach((anchor) => {
-    anchor.addEventListener("click", (e) => {
+  app.root.addEventListener(
+    "click",
+    (e) => {
+      // Select anchor links (href starts with "#")
+      const anchor = e.target.closest?.('a[href^="#"]');
+      if (!anchor) return;
+
       const targetId = anchor.getAttribute("href");
 
       // Ignore links that are just "#" (often used for JavaScript triggers)
       if (targetId === "#") return;
 
-      const target = document.querySelector(targetId);
+      // Project deep links ("#/projects/…") are handled by router.js
+      if (targetId.startsWith("#/")) return;
+
+      let id = targetId.slice(1);
+      try {
+        id = decodeURIComponent(id);
+      } catch {
+        // Malformed %xx ("#100%"): look the id up as written
+      }
+      const target = document.getElementById(id);
       if (target) {
         // Prevent the default "jump to anchor" behavior
         e.preventDefault();
@@ -240,65 +217,32 @@ function initSmoothScroll() {
          */
         history.pushState(null, "", targetId);
       }
-    });
-  });
+    },
+    { signal: app.listeners.signal }
+  );
 }
 
 // ==========================================================================
-// 4. ACTIVE NAVIGATION STATE
+// 3. ACTIVE NAVIGATION STATE
 // ==========================================================================
 
 /**
- * Highlight the nav link corresponding to the currently visible section.
+ * Highlight the nav link of the section the reader is in, keep the URL
+ * hash in step and fill the reading-progress bar (see scrollspy.js).
  *
  * 🎓 UX PRINCIPLE: LOCATION AWARENESS
  * Users should always know where they are in the page. Highlighting the
- * active nav link provides this feedback without requiring user action.
- *
- * 📐 THE APPROACH:
- * We use IntersectionObserver again! But with different rootMargin settings
- * that define a "detection zone" in the middle of the viewport.
+ * active nav link provides this feedback without requiring user action,
+ * and aria-current="location" gives screen readers the same hint.
  *
- * rootMargin: '-50% 0px -50% 0px' means:
- * - Shrink the detection area by 50% from top AND bottom
- * - This creates a narrow band in the middle of the viewport
- * - Only the section crossing this band is considered "active"
+ * 📐 The progress bar is optional: remove `.scroll-progress` from the
+ * markup and only the nav is updated.
  */
 function initActiveNav() {
-  const sections = document.querySelectorAll("section[id]");
-  const navLinks = document.querySelectorAll(".nav-links a");
-
-  const observerOptions = {
-    root: null,
-    rootMargin: "-50% 0px -50% 0px", // Detect section in middle of viewport
-    threshold: 0, // Trigger as soon as ANY part enters
-  };
-
-  /**
-   * NAV HIGHLIGHT OBSERVER
-   *
-   * When a section enters our detection zone (middle of viewport),
-   * we find the corresponding nav link and highlight it.
-   */
-  const navObserver = new IntersectionObserver((entries) => {
-    entries.forEach((entry) => {
-      if (entry.isIntersecting) {
-        const id = entry.target.getAttribute("id");
-
-        // Update all nav links: highlight matching, reset others
-        navLinks.forEach((link) => {
-          if (link.getAttribute("href") === `#${id}`) {
-            link.classList.add("active");
-          } else {
-            link.classList.remove("active");
-          }
-        });
-      }
-    });
-  }, observerOptions);
-
-  // Observe all sections with IDs
-  sections.forEach((section) => navObserver.observe(section));
+  const scrollspy = new Scrollspy(app.root, {
+    progress: $(".scroll-progress"),
+  });
+  onDestroy(() => scrollspy.destroy());
 }
 
 // ==========================================================================
@@ -320,40 +264,50 @@ function initActiveNav() {
  * 3. Click any nav link → close the menu automatically
  */
 function initHamburgerMenu() {
-  const hamburger = document.querySelector(".hamburger");
-  const navLinks = document.querySelector(".nav-links");
-  const navLinkItems = document.querySelectorAll(".nav-links a");
+  const hamburger = $(".hamburger");
+  const navLinks = $(".nav-links");
+  const navLinkItems = $$(".nav-links a");
+  const { signal } = app.listeners;
 
   if (!hamburger || !navLinks) {
     console.warn("⚠️ Hamburger menu elements not found");
     return;
   }
 
+  const closeMenu = () => {
+    hamburger.classList.remove("active");
+    navLinks.classList.remove("active");
+    hamburger.setAttribute("aria-expanded", "false");
+  };
+
   /**
    * Toggle menu open/closed
    */
-  hamburger.addEventListener("click", () => {
-    const isExpanded = hamburger.getAttribute("aria-expanded") === "true";
+  hamburger.addEventListener(
+    "click",
+    () => {
+      const isExpanded = hamburger.getAttribute("aria-expanded") === "true";
 
-    // Toggle active classes
-    hamburger.classList.toggle("active");
-    navLinks.classList.toggle("active");
+      // Toggle active classes
+      hamburger.classList.toggle("active");
+      navLinks.classList.toggle("active");
 
-    // Update ARIA attribute for accessibility
-    hamburger.setAttribute("aria-expanded", !isExpanded);
-  });
+      // Update ARIA attribute for accessibility
+      hamburger.setAttribute("aria-expanded", !isExpanded);
+    },
+    { signal }
+  );
 
   /**
    * Close menu when clicking any navigation link
    * This provides better UX - menu closes after selection
    */
   navLinkItems.forEach((link) => {
-    link.addEventListener("click", () => {
-      hamburger.classList.remove("active");
-      navLinks.classList.remove("active");
-      hamburger.setAttribute("aria-expanded", "false");
-    });
+    link.addEventListener("click", closeMenu, { signal });
   });
+
+  // Never leave a torn-down page with the menu stuck open
+  onDestroy(closeMenu);
 }
 
 // ==========================================================================
@@ -361,94 +315,108 @@ function initHamburgerMenu() {
 // ==========================================================================
 
 /**
- * Initialize theme toggle for light/dark mode switching.
+ * Wire the theme toggles and palette picker to the ThemeEngine (theme.js).
  *
  * 🎓 WHAT THIS DOES:
- * - Toggles light/dark mode when button is clicked
- * - Saves preference to localStorage
- * - Loads saved preference on page load
- * - Smooth transition between themes via CSS variables
+ * - Each click cycles the theme: dark → light → system
+ * - "System" follows the OS setting, live
+ * - The footer picker switches between named palettes
+ * - Choices are saved and shared with other open tabs
  *
  * 📐 HOW IT WORKS:
- * 1. Click toggle → add/remove 'light-mode' class on body
- * 2. CSS variables in theme.css update automatically
- * 3. Preference saved to localStorage for persistence
+ * 1. The inline script in <head> already applied the saved theme
+ * 2. ThemeEngine toggles 'light-mode' on <html> from then on
+ * 3. CSS variables in theme.css update automatically
  */
 function initThemeToggle() {
-  const themeToggles = document.querySelectorAll(".theme-toggle");
+  const themeEngine = new ThemeEngine();
+  app.themeEngine = themeEngine;
+  const { signal } = app.listeners;
+  onDestroy(() => themeEngine.destroy());
+
+  const themeToggles = $$(".theme-toggle");
 
   if (themeToggles.length === 0) {
     console.warn("⚠️ Theme toggle elements not found");
-    return;
   }
 
-  // Load saved theme preference
-  const savedTheme = localStorage.getItem("theme");
-  if (savedTheme === "light") {
-    document.body.classList.add("light-mode");
-  }
-
-  // Toggle theme on click for all toggle buttons
   themeToggles.forEach((toggle) => {
-    toggle.addEventListener("click", () => {
-      document.body.classList.toggle("light-mode");
-
-      // Save preference
-      const isLightMode = document.body.classList.contains("light-mode");
-      localStorage.setItem("theme", isLightMode ? "light" : "dark");
+    toggle.addEventListener("click", () => themeEngine.cycleMode(), {
+      signal,
     });
   });
+
+  $$("[data-palette-select]").forEach((select) => {
+    select.addEventListener(
+      "change",
+      () => themeEngine.setPalette(select.value),
+      { signal }
+    );
+  });
 }
 
 // ==========================================================================
-// 6. INITIALIZATION
+// INTERNATIONALISATION
+// English and Spanish, from assets/i18n/<locale>.json (see i18n.js). The
+// saved choice wins; a first visit follows the browser language.
 // ==========================================================================
 
-/**
- * DOMContentLoaded: The safe time to run DOM-manipulating JavaScript.
- *
- * 🎓 WHY DOMContentLoaded?
- * - Fires when HTML is fully parsed (DOM is ready)
- * - Doesn't wait for images/stylesheets to load (that's 'load' event)
- * - Safe to query and manipulate DOM elements
- *
- * If your script is in <head> without 'defer', this is essential.
- * If your script is at end of <body> or has 'defer', it's optional but good practice.
- */
-document.addEventListener("DOMContentLoaded", () => {
-  initScrollAnimations();
-  initSmoothScroll();
-  initActiveNav();
-  initHamburgerMenu();
-  initThemeToggle();
-
-  console.log("🚀 Grade 1 Demo: Vanilla scroll animations initialized");
-});
+function initI18n() {
+  const i18n = new I18n();
+  onDestroy(() => i18n.destroy());
+
+  // Labels such as "View Volkov full size" are built from the (now
+  // translated) titles, so rebuild them after every switch
+  const root = app.root;
+  document.addEventListener("i18n:change", () => labelProjects(root), {
+    signal: app.listeners.signal,
+  });
+
+  // persist: false, so a first visit keeps following the browser language
+  i18n
+    .setLocale(I18n.detect(), { persist: false })
+    .then(() => console.log(`🌍 Language: ${i18n.locale}`))
+    .catch((error) => {
+      console.error("⚠️ Translations could not be loaded:", error);
+    });
+}
 
 // ==========================================================================
-// 7. CLEANUP (FOR SPA ENVIRONMENTS)
+// ANALYTICS
+// Counts the portfolio:* events without cookies or visitor ids, and sends
+// them to the endpoint in <meta name="analytics-endpoint"> or keeps them in
+// localStorage. Open the page with ?stats to see them. See analytics.js.
 // ==========================================================================
 
-/**
- * Cleanup function for Single Page Application (SPA) routing.
- *
- * 🎓 WHY IS CLEANUP IMPORTANT?
- * In SPAs (React, Vue, etc.), pages don't fully reload when navigating.
- * If you don't disconnect observers, they keep watching elements that
- * may have been removed, causing memory leaks and bugs.
- *
- * 📐 WHEN TO CALL THIS:
- * - Before navigating away from this page in an SPA
- * - In React: useEffect cleanup function
- * - In Vue: onUnmounted lifecycle hook
- *
- * For traditional multi-page sites, this isn't needed (page reload cleans up).
- */
-window.cleanupScrollObservers = () => {
-  singleObserver.disconnect(); // Stop observing all elements
-  staggerObserver.disconnect();
-  console.log("🧹 Observers cleaned up");
-};
+function initAnalytics() {
+  const analytics = new Analytics({
+    ...Analytics.readConfig(),
+    ...app.options.analytics,
+  });
+  onDestroy(() => analytics.destroy());
+
+  const overlay = $(".stats-overlay");
+  if (overlay && StatsOverlay.isRequested()) {
+    const stats = new StatsOverlay(overlay, analytics);
+    onDestroy(() => stats.destroy());
+  }
+
+  console.log(
+    `📊 Analytics: ${analytics.enabled ? analytics.mode : "off (Do Not Track)"}`
+  );
+}
+
+// ==========================================================================
+// SKILL STAR RATINGS
+// Stars are drawn from data-rating / data-max (see star-rating.js); the
+// fill animates when the scroll observer reveals the skills grid.
+// ==========================================================================
+
+function initStarRatings() {
+  const starRatings = StarRating.initAll(app.root);
+  onDestroy(() => starRatings.forEach((rating) => rating.destroy()));
+  console.log(`⭐ ${starRatings.length} star ratings rendered`);
+}
 
 // ==========================================================================
 // HERO BACKGROUND CAROUSEL
@@ -457,11 +425,14 @@ window.cleanupScrollObservers = () => {
 /**
  * HERO CAROUSEL
  *
- * Automatically cycles through background images in the hero section.
- * Transitions are smooth using CSS opacity animations.
+ * Cycles through background images in the hero section with a CSS opacity
+ * crossfade. Timing comes from data attributes, and the slideshow pauses
+ * itself when hidden, off-screen or under reduced motion (see
+ * hero-carousel.js).
  */
 function initHeroCarousel() {
-  const slides = document.querySelectorAll(".carousel-slide");
+  const root = $(".hero-carousel");
+  const slides = root?.querySelectorAll(".carousel-slide") || [];
 
   // Exit if no slides found
   if (slides.length === 0) {
@@ -469,413 +440,439 @@ function initHeroCarousel() {
     return;
   }
 
-  console.log(`🎠 Carousel initialized with ${slides.length} slides`);
-
-  let currentSlide = 0;
-  const slideInterval = 3000; // Change image every 3 seconds
-
-  function nextSlide() {
-    // Remove active class from current slide
-    slides[currentSlide].classList.remove("active");
-
-    // Move to next slide (loop back to 0 if at the end)
-    currentSlide = (currentSlide + 1) % slides.length;
-
-    // Add active class to new slide
-    slides[currentSlide].classList.add("active");
+  const heroCarousel = new HeroCarousel(root, {
+    toggle: $(".hero-carousel-toggle"),
+  });
+  onDestroy(() => heroCarousel.destroy());
+  console.log(`🎠 Hero carousel initialized with ${slides.length} slides`);
+}
 
-    console.log(`🎠 Switched to slide ${currentSlide + 1}`);
-  }
+// ==========================================================================
+// IMAGE LIGHTBOX
+// One gallery dialog (#lightbox) serves every project image. Clicks are
+// delegated, so it works for cards rendered later from projects.json.
+// Started before the projects section, which hands it to the grid, the
+// filter and the router.
+// ==========================================================================
 
-  // Start the carousel
-  setInterval(nextSlide, slideInterval);
-  console.log(`✅ Carousel running (interval: ${slideInterval}ms)`);
-}
+function initLightbox() {
+  const root = $("#lightbox");
+  if (!root) return;
 
-// Initialize carousel when DOM is ready
-if (document.readyState === "loading") {
-  document.addEventListener("DOMContentLoaded", initHeroCarousel);
-} else {
-  initHeroCarousel();
+  const lightbox = new Lightbox(root);
+  app.lightbox = lightbox;
+  onDestroy(() => lightbox.destroy());
+  console.log("🖼️ Lightbox initialized");
 }
 
 // ==========================================================================
-// PROJECTS CAROUSEL (Illustration)
-// This section manages the main projects carousel in the Illustration section.
-// HOW IT WORKS:
-// - Tracks the current visible project card (currentIndex)
-// - Handles left/right arrow clicks to move between cards
-// - Updates indicator dots to reflect the active card
-// - Supports keyboard navigation (arrow keys)
-// - Adds touch/swipe support for mobile devices
-// - Uses CSS transforms for smooth sliding transitions
-// - Prevents rapid clicks with an animation lock (isAnimating)
+// PROJECT VIEW (CAROUSEL / GRID)
+// One switch for the whole section; the choice is saved in localStorage.
+// See project-view.js. Started by initProjects().
 // ==========================================================================
 
-function initProjectsCarousel() {
-  // Scope to the first Projects carousel inside the #projects section
-  const projectsSection = document.querySelector("#projects");
-  if (!projectsSection) return;
+function initProjectView(container) {
+  const root = $(".projects-view-switch");
+  if (!root) return;
 
-  const projectsCarousel = projectsSection.querySelector(
-    ".projects-carousel:not(.projects-carousel-comic):not(.projects-carousel-editorial)"
-  );
-  if (!projectsCarousel) return;
+  const projectView = new ProjectView(root, {
+    container,
+    lightbox: app.lightbox,
+  });
+  onDestroy(() => projectView.destroy());
+  console.log(`🧱 Project view: ${projectView.view}`);
+}
 
-  const track = projectsCarousel.querySelector(".carousel-track");
-  const leftArrow = projectsCarousel.querySelector(".carousel-arrow-left");
-  const rightArrow = projectsCarousel.querySelector(".carousel-arrow-right");
-  const indicators = projectsSection.querySelectorAll(
-    ".carousel-indicators .indicator"
-  );
+// ==========================================================================
+// PROJECT FILTER
+// Tag chips and a search box over every project; while a filter is active
+// the carousels make way for one result list. See project-filter.js.
+// Started by initProjects() once the project cards have been rendered.
+// ==========================================================================
 
-  if (!track || !leftArrow || !rightArrow) return;
+function initProjectFilter(container) {
+  const root = $(".projects-filter");
+  const results = $(".projects-results");
+  if (!root || !results) return;
 
-  let currentIndex = 0;
-  let isAnimating = false;
-  const totalCards = track.querySelectorAll(".project-carousel-card").length;
+  const projectFilter = new ProjectFilter(root, {
+    container,
+    results,
+    lightbox: app.lightbox,
+  });
+  onDestroy(() => projectFilter.destroy());
+  console.log("🏷️ Project filter initialized");
+}
 
-  function updateCarousel() {
-    if (isAnimating) return;
-    isAnimating = true;
+// ==========================================================================
+// DEEP LINKS
+// Hash routes such as #/projects/comic/volkov scroll to a carousel, move it
+// to that card and (with /view) open the lightbox. See router.js.
+// Started by initProjects() once the project cards have been rendered.
+// ==========================================================================
 
-    // Use transform for hardware acceleration
-    track.style.transform = `translate3d(-${currentIndex * 100}%, 0, 0)`;
+function initRouter() {
+  const router = new ProjectRouter({ lightbox: app.lightbox });
+  onDestroy(() => router.destroy());
+  router.start();
+  console.log("🔗 Deep links initialized");
+}
 
-    // Update indicators efficiently
-    indicators.forEach((indicator, index) => {
-      indicator.classList.toggle("active", index === currentIndex);
-    });
+// ==========================================================================
+// PROJECTS SECTION
+// The category markup is generated from assets/data/projects.json (see
+// projects.js), then every `.projects-carousel` gets its own Carousel
+// instance (see carousel.js). Options such as looping, transition duration
+// and swipe threshold come from data attributes, so a new category only
+// needs an entry in the JSON file.
+// ==========================================================================
 
-    // Reset animation lock after transition
-    setTimeout(() => {
-      isAnimating = false;
-    }, 400);
+async function initProjects() {
+  const container = $("[data-projects-src]");
+  if (!container) return;
+
+  // ⚠️ The fetch below can outlive this start: if destroy() (or a new
+  // init()) happens meanwhile, `app` changes and the rest is skipped
+  const started = app;
+  const isEditing = app.features.editMode && EditMode.isRequested();
+
+  try {
+    // Cards already in the HTML (built with npm run build)? No fetch needed.
+    // (Edit mode always works on the JSON.)
+    if (container.hasAttribute("data-prerendered") && !isEditing) {
+      hydrateProjects(container);
+    } else {
+      const data = await loadProjects(container.dataset.projectsSrc);
+      if (app !== started) return;
+
+      // The editor replaces carousels, filters and views (see below)
+      if (isEditing) {
+        initEditMode(container, data);
+        return;
+      }
+      renderProjects(container, data);
+    }
+  } catch (error) {
+    if (app !== started) return;
+    console.error("⚠️ Projects could not be loaded:", error);
+    container.removeAttribute("aria-busy");
+    const status = container.querySelector(".projects-status");
+    if (status) {
+      status.textContent = t(
+        "projects.loadError",
+        "Projects could not be loaded. Please try again later."
+      );
+    }
+    return;
   }
 
-  function nextSlide() {
-    if (isAnimating) return;
-    currentIndex = (currentIndex + 1) % totalCards;
-    updateCarousel();
-  }
+  const carousels = Carousel.initAll(container);
+  onDestroy(() => carousels.forEach((carousel) => carousel.destroy()));
+  console.log(`🎠 ${carousels.length} project carousels initialized`);
 
-  function prevSlide() {
-    if (isAnimating) return;
-    currentIndex = (currentIndex - 1 + totalCards) % totalCards;
-    updateCarousel();
-  }
+  // The grids were rendered after initScrollAnimations() ran, so they are
+  // handed to ScrollReveal here (or simply shown when it is off)
+  const grids = container.querySelectorAll("[data-reveal-stagger]");
+  if (app.scrollReveal) grids.forEach((el) => app.scrollReveal.observe(el));
+  else showWithoutReveal(grids);
 
-  function goToSlide(index) {
-    if (isAnimating || index === currentIndex) return;
-    currentIndex = index;
-    updateCarousel();
-  }
+  const { features } = app;
+  if (features.projectView) initProjectView(container);
 
-  // Event listeners with passive for better scroll performance
-  rightArrow.addEventListener("click", nextSlide);
-  leftArrow.addEventListener("click", prevSlide);
+  // The cards exist now, so filters and deep links in the URL can be applied
+  if (features.projectFilter) initProjectFilter(container);
+  if (features.deepLinks) initRouter();
+}
 
-  // Indicator click events
-  indicators.forEach((indicator, index) => {
-    indicator.addEventListener("click", () => goToSlide(index));
-  });
+// ==========================================================================
+// EDIT MODE
+// ?edit turns the project cards into an editor: reorder (drag or buttons),
+// rename, add, remove and fix alt text, then export JSON or HTML. Changes
+// stay in localStorage until exported. Started by initProjects() instead of
+// the carousels. See edit-mode.js.
+// ==========================================================================
 
-  // Keyboard navigation with debounce
-  let keyTimeout;
-  document.addEventListener("keydown", (e) => {
-    if (e.key === "ArrowLeft" || e.key === "ArrowRight") {
-      clearTimeout(keyTimeout);
-      keyTimeout = setTimeout(() => {
-        if (e.key === "ArrowLeft") prevSlide();
-        if (e.key === "ArrowRight") nextSlide();
-      }, 50);
-    }
+function initEditMode(container, data) {
+  const editor = new EditMode(container, data, {
+    draft: EditMode.readDraft(),
+    toolbar: $(".edit-toolbar"),
   });
-
-  // Optimized touch/swipe support
-  let touchStartX = 0;
-  let touchEndX = 0;
-  let isSwiping = false;
-
-  track.addEventListener(
-    "touchstart",
-    (e) => {
-      touchStartX = e.changedTouches[0].screenX;
-      isSwiping = true;
-    },
-    { passive: true }
-  );
-
-  track.addEventListener(
-    "touchmove",
-    (e) => {
-      if (!isSwiping) return;
-      touchEndX = e.changedTouches[0].screenX;
-    },
-    { passive: true }
-  );
-
-  track.addEventListener(
-    "touchend",
-    (e) => {
-      if (!isSwiping) return;
-      handleSwipe();
-      isSwiping = false;
-    },
-    { passive: true }
-  );
-
-  function handleSwipe() {
-    const swipeThreshold = 75;
-    const diff = touchStartX - touchEndX;
-
-    if (Math.abs(diff) > swipeThreshold) {
-      if (diff > 0) {
-        nextSlide();
-      } else {
-        prevSlide();
-      }
-    }
-  }
-}
-
-// Initialize projects carousel when DOM is ready
-if (document.readyState === "loading") {
-  document.addEventListener("DOMContentLoaded", initProjectsCarousel);
-} else {
-  initProjectsCarousel();
+  onDestroy(() => editor.destroy());
+  console.log("✏️ Edit mode on: changes stay in this browser until exported");
 }
 
 // ==========================================================================
-// COMIC CAROUSEL
-// This section manages the carousel for comic projects.
-// HOW IT WORKS:
-// - Maintains the current comic card index (currentIndex)
-// - Listens for left/right arrow clicks to change cards
-// - Updates indicator dots for the active comic
-// - Supports touch/swipe gestures for mobile navigation
-// - Uses CSS transforms for smooth horizontal movement
-// - Prevents overlapping transitions with an animation lock
+// PRINT / PDF CATALOGUE
+// "Print / Save as PDF" builds a cover and one page per project, waits for
+// the images, then opens the print dialog. See print-catalogue.js.
 // ==========================================================================
 
-function initComicCarousel() {
-  const track = document.querySelector(".carousel-track-comic");
-  const leftArrow = document.querySelector(".carousel-arrow-left-comic");
-  const rightArrow = document.querySelector(".carousel-arrow-right-comic");
-  const indicators = document.querySelectorAll(".indicator-comic");
+function initPrintCatalogue() {
+  const root = $(".print-catalogue");
+  if (!root) return;
 
-  if (!track || !leftArrow || !rightArrow) return;
+  const printCatalogue = new PrintCatalogue(root, { scope: app.root });
+  app.printCatalogue = printCatalogue;
+  onDestroy(() => printCatalogue.destroy());
+  console.log("🖨️ Print catalogue ready");
+}
 
-  let currentIndex = 0;
-  let isAnimating = false;
-  const totalCards = track.querySelectorAll(".project-carousel-card").length;
+// ==========================================================================
+// COMMAND PALETTE
+// Ctrl/Cmd+K searches sections, projects and a few commands. Results are
+// collected when it opens, so project cards rendered later are found too.
+// See command-palette.js.
+// ==========================================================================
 
-  function updateCarousel() {
-    if (isAnimating) return;
-    isAnimating = true;
+function initCommandPalette() {
+  const root = $(".command-palette");
+  if (!root) return;
 
-    track.style.transform = `translate3d(-${currentIndex * 100}%, 0, 0)`;
+  const palette = new CommandPalette(root, {
+    scope: app.root,
+    lightbox: app.lightbox,
+    themeEngine: app.themeEngine,
+    printCatalogue: app.printCatalogue,
+    notice: $(".command-palette-notice"),
+  });
+  onDestroy(() => palette.destroy());
+  console.log("⌨️ Command palette initialized (Ctrl/Cmd+K)");
+}
 
-    indicators.forEach((indicator, index) => {
-      indicator.classList.toggle("active", index === currentIndex);
-    });
+// ==========================================================================
+// CONTACT FORM
+// Validation, honeypot and drafts live in contact-form.js. Where messages
+// go is set on the <form> itself (data-adapter, data-mailto, data-endpoint).
+// ==========================================================================
 
-    setTimeout(() => {
-      isAnimating = false;
-    }, 400);
-  }
+function initContactForm() {
+  const form = $(".contact-form");
+  if (!form) return;
 
-  function nextSlide() {
-    if (isAnimating) return;
-    currentIndex = (currentIndex + 1) % totalCards;
-    updateCarousel();
-  }
+  const contactForm = new ContactForm(form);
+  onDestroy(() => contactForm.destroy());
+  console.log(`📮 Contact form ready (${contactForm.adapter.name} adapter)`);
+}
 
-  function prevSlide() {
-    if (isAnimating) return;
-    currentIndex = (currentIndex - 1 + totalCards) % totalCards;
-    updateCarousel();
-  }
+// ==========================================================================
+// OFFLINE SUPPORT (SERVICE WORKER)
+// sw.js caches the site so it opens without a network. When a new version
+// has been downloaded, a small prompt lets the visitor reload into it.
+// ==========================================================================
 
-  function goToSlide(index) {
-    if (isAnimating || index === currentIndex) return;
-    currentIndex = index;
-    updateCarousel();
+/**
+ * Register the service worker and show the update prompt when needed.
+ *
+ * 🎓 THE UPDATE FLOW:
+ * 1. The browser notices sw.js changed and installs the new worker
+ * 2. It WAITS while this page is still using the old one
+ * 3. We show "A new version is available" → visitor clicks Reload
+ * 4. We tell the waiting worker to take over (SKIP_WAITING)
+ * 5. `controllerchange` fires → reload, now served by the new worker
+ *
+ * ⚠️ Service workers need https:// (or localhost). On file:// this does
+ * nothing. destroy() removes the prompt's listeners but keeps the worker
+ * registered: offline support belongs to the site, not to one start.
+ */
+function initServiceWorker() {
+  if (!("serviceWorker" in navigator) || location.protocol === "file:") {
+    return;
   }
 
-  rightArrow.addEventListener("click", nextSlide);
-  leftArrow.addEventListener("click", prevSlide);
-
-  indicators.forEach((indicator, index) => {
-    indicator.addEventListener("click", () => goToSlide(index));
-  });
+  const toast = $(".update-toast");
+  const { signal } = app.listeners;
+  let isReloading = false;
+  let waitingWorker = null;
 
-  let touchStartX = 0;
-  let touchEndX = 0;
-  let isSwiping = false;
+  const showUpdatePrompt = (worker) => {
+    if (!toast || signal.aborted) return;
+    waitingWorker = worker;
+    toast.hidden = false;
+  };
 
-  track.addEventListener(
-    "touchstart",
-    (e) => {
-      touchStartX = e.changedTouches[0].screenX;
-      isSwiping = true;
+  toast?.querySelector(".update-toast-reload")?.addEventListener(
+    "click",
+    () => {
+      isReloading = true;
+      waitingWorker?.postMessage({ type: "SKIP_WAITING" });
     },
-    { passive: true }
+    { signal }
   );
-
-  track.addEventListener(
-    "touchmove",
-    (e) => {
-      if (!isSwiping) return;
-      touchEndX = e.changedTouches[0].screenX;
+  toast?.querySelector(".update-toast-dismiss")?.addEventListener(
+    "click",
+    () => {
+      toast.hidden = true;
     },
-    { passive: true }
+    { signal }
   );
 
-  track.addEventListener(
-    "touchend",
-    (e) => {
-      if (!isSwiping) return;
-      handleSwipe();
-      isSwiping = false;
+  // Only reload when the visitor asked for it (the first install also
+  // changes the controller)
+  navigator.serviceWorker.addEventListener(
+    "controllerchange",
+    () => {
+      if (isReloading) location.reload();
     },
-    { passive: true }
+    { signal }
   );
 
-  function handleSwipe() {
-    const swipeThreshold = 75;
-    const diff = touchStartX - touchEndX;
+  const register = () => {
+    navigator.serviceWorker
+      .register("./sw.js")
+      .then((registration) => {
+        console.log("📦 Service worker registered (offline support)");
+
+        // An update was already waiting from an earlier visit
+        if (registration.waiting && navigator.serviceWorker.controller) {
+          showUpdatePrompt(registration.waiting);
+        }
+
+        registration.addEventListener(
+          "updatefound",
+          () => {
+            const worker = registration.installing;
+            worker.addEventListener("statechange", () => {
+              // "installed" + an existing controller = an update, not the first visit
+              if (
+                worker.state === "installed" &&
+                navigator.serviceWorker.controller
+              ) {
+                showUpdatePrompt(worker);
+              }
+            });
+          },
+          { signal }
+        );
+      })
+      .catch((error) => {
+        console.warn("⚠️ Service worker registration failed:", error);
+      });
+  };
 
-    if (Math.abs(diff) > swipeThreshold) {
-      if (diff > 0) {
-        nextSlide();
-      } else {
-        prevSlide();
-      }
-    }
+  // Register once the page has loaded, so caching never competes with the
+  // first render for bandwidth
+  if (document.readyState === "complete") {
+    register();
+  } else {
+    window.addEventListener("load", register, { once: true, signal });
   }
 }
 
-// Initialize comic carousel when DOM is ready
-if (document.readyState === "loading") {
-  document.addEventListener("DOMContentLoaded", initComicCarousel);
-} else {
-  initComicCarousel();
-}
-
 // ==========================================================================
-// EDITORIAL CAROUSEL
-// This section manages the carousel for editorial illustration projects.
-// HOW IT WORKS:
-// - Tracks which editorial card is currently shown (currentIndex)
-// - Handles left/right arrow and indicator clicks to change cards
-// - Updates indicator dots to show the active editorial project
-// - Adds touch/swipe support for mobile users
-// - Uses CSS transforms for smooth slide transitions
-// - Prevents multiple transitions at once with an animation lock
+// 6. LIFECYCLE: init() AND destroy()
 // ==========================================================================
 
-function initEditorialCarousel() {
-  const track = document.querySelector(".carousel-track-editorial");
-  const leftArrow = document.querySelector(".carousel-arrow-left-editorial");
-  const rightArrow = document.querySelector(".carousel-arrow-right-editorial");
-  const indicators = document.querySelectorAll(".indicator-editorial");
-
-  if (!track || !leftArrow || !rightArrow) return;
-
-  let currentIndex = 0;
-  let isAnimating = false;
-  const totalCards = track.querySelectorAll(".project-carousel-card").length;
-
-  function updateCarousel() {
-    if (isAnimating) return;
-    isAnimating = true;
-
-    track.style.transform = `translate3d(-${currentIndex * 100}%, 0, 0)`;
+/**
+ * Start every enabled feature inside `root`.
+ *
+ * Already running? The previous start is destroyed first, so calling
+ * init() again (e.g. after replacing the page content) never duplicates
+ * a handler.
+ *
+ * 🎓 WHEN TO CALL IT:
+ * Once the markup is in the DOM. A <script type="module"> runs after the
+ * HTML has been parsed, so index.html can call it straight away; in an SPA,
+ * call it after the view has mounted.
+ *
+ * @param {Document|Element} [root=document] - Where to look for the features
+ * @param {object} [options]
+ * @param {Partial<typeof FEATURES>} [options.features] - Switch features off
+ *   (or back on) by name
+ * @param {{endpoint?: string}} [options.analytics] - See analytics.js
+ */
+export function init(root = document, options = {}) {
+  if (app) destroy();
+
+  const features = { ...FEATURES, ...options.features };
+  Object.keys(options.features || {})
+    .filter((name) => !(name in FEATURES))
+    .forEach((name) => console.warn(`⚠️ Unknown feature "${name}"`));
+
+  app = {
+    root,
+    options,
+    features,
+    listeners: new AbortController(),
+    cleanups: [],
+    scrollReveal: null,
+    themeEngine: null,
+    lightbox: null,
+    printCatalogue: null,
+  };
 
-    indicators.forEach((indicator, index) => {
-      indicator.classList.toggle("active", index === currentIndex);
+  /**
+   * 📐 ORDER MATTERS:
+   * - i18n first, so every feature below builds its labels in the
+   *   visitor's language
+   * - analytics next, so it hears the events of everything after it
+   * - lightbox before projects, which hands it to the grid, the filter and
+   *   the router; theme, lightbox and print catalogue before the command
+   *   palette, which offers them as commands
+   * - one broken feature is logged and the rest still start
+   */
+  const steps = [
+    ["i18n", initI18n],
+    ["analytics", initAnalytics],
+    ["theme", initThemeToggle],
+    ["scrollAnimations", initScrollAnimations],
+    ["smoothScroll", initSmoothScroll],
+    ["activeNav", initActiveNav],
+    ["hamburgerMenu", initHamburgerMenu],
+    ["starRatings", initStarRatings],
+    ["heroCarousel", initHeroCarousel],
+    ["lightbox", initLightbox],
+    ["projects", initProjects],
+    ["printCatalogue", initPrintCatalogue],
+    ["commandPalette", initCommandPalette],
+    ["contactForm", initContactForm],
+    ["serviceWorker", initServiceWorker],
+  ];
+
+  steps
+    .filter(([name]) => features[name])
+    .forEach(([name, start]) => {
+      const report = (error) => {
+        console.error(`⚠️ ${name} could not be initialized:`, error);
+      };
+      try {
+        // initProjects() is async: a later failure rejects its promise
+        Promise.resolve(start()).catch(report);
+      } catch (error) {
+        report(error);
+      }
     });
 
-    setTimeout(() => {
-      isAnimating = false;
-    }, 400);
-  }
-
-  function nextSlide() {
-    if (isAnimating) return;
-    currentIndex = (currentIndex + 1) % totalCards;
-    updateCarousel();
-  }
-
-  function prevSlide() {
-    if (isAnimating) return;
-    currentIndex = (currentIndex - 1 + totalCards) % totalCards;
-    updateCarousel();
+  // Without ScrollReveal nothing would lift the hidden starting state
+  if (!features.scrollAnimations) {
+    showWithoutReveal(root.querySelectorAll(ScrollReveal.SELECTOR));
   }
 
-  function goToSlide(index) {
-    if (isAnimating || index === currentIndex) return;
-    currentIndex = index;
-    updateCarousel();
-  }
-
-  rightArrow.addEventListener("click", nextSlide);
-  leftArrow.addEventListener("click", prevSlide);
-
-  indicators.forEach((indicator, index) => {
-    indicator.addEventListener("click", () => goToSlide(index));
-  });
-
-  let touchStartX = 0;
-  let touchEndX = 0;
-  let isSwiping = false;
-
-  track.addEventListener(
-    "touchstart",
-    (e) => {
-      touchStartX = e.changedTouches[0].screenX;
-      isSwiping = true;
-    },
-    { passive: true }
-  );
-
-  track.addEventListener(
-    "touchmove",
-    (e) => {
-      if (!isSwiping) return;
-      touchEndX = e.changedTouches[0].screenX;
-    },
-    { passive: true }
-  );
-
-  track.addEventListener(
-    "touchend",
-    (e) => {
-      if (!isSwiping) return;
-      handleSwipe();
-      isSwiping = false;
-    },
-    { passive: true }
-  );
-
-  function handleSwipe() {
-    const swipeThreshold = 75;
-    const diff = touchStartX - touchEndX;
+  console.log("🚀 Portfolio initialized");
+}
 
-    if (Math.abs(diff) > swipeThreshold) {
-      if (diff > 0) {
-        nextSlide();
-      } else {
-        prevSlide();
-      }
+/**
+ * Stop everything init() started: listeners, observers, timers and
+ * component instances. The content stays as it is (revealed sections stay
+ * visible), so destroy() can run right before the markup is removed or
+ * replaced.
+ *
+ * Safe to call when nothing is running.
+ */
+export function destroy() {
+  if (!app) return;
+
+  const { listeners, cleanups } = app;
+  app = null;
+
+  listeners.abort();
+  // Last started, first stopped (the lightbox outlives the grid using it)
+  cleanups.reverse().forEach((cleanup) => {
+    try {
+      cleanup();
+    } catch (error) {
+      console.error("⚠️ Cleanup failed:", error);
     }
-  }
-}
+  });
 
-// Initialize editorial carousel when DOM is ready
-if (document.readyState === "loading") {
-  document.addEventListener("DOMContentLoaded", initEditorialCarousel);
-} else {
-  initEditorialCarousel();
+  console.log("🧹 Portfolio destroyed");
 }
@@ -0,0 +1,358 @@
+// ==========================================================================
+// SMART 404: SUGGESTED DESTINATIONS
+// ==========================================================================
+
+/**
+ * Guesses where a broken link was meant to go. The requested path is
+ * compared with every section id of the home page and every project slug
+ * in projects.json; the closest ones are offered as links, and one clear
+ * winner is opened automatically.
+ *
+ * 🎓 HOW THE GUESS WORKS:
+ * "/Projects/Volkov-Comic.html" → tokens "projects", "volkov-comic" and
+ * "projects-volkov-comic" (lower case, no accents or extension). Each
+ * token is scored against each name (section id or title, project slug,
+ * "category-slug" or title):
+ * - The edit distance, as a share of the longer word: "volkof" vs
+ *   "volkov" is one letter off → 0.83
+ * - Or, when one contains the other, how much of it they share:
+ *   "volkov-comic" contains "volkov" → 0.6 + 0.4 × 6/12 = 0.8
+ * A destination keeps its best score.
+ *
+ * 📐 WHAT HAPPENS:
+ * - Scores from MIN_SCORE up are listed (at most MAX_SUGGESTIONS)
+ * - The best is at least CONFIDENT and MARGIN ahead of the next one →
+ *   it opens after REDIRECT_DELAY, with a "Stay here" button
+ *
+ * 📐 Links and data files are resolved from this script's own URL, which
+ * the <base> that 404.html adds keeps at the site root however deep the
+ * missing address is (see "site-root" in 404.html).
+ *
+ * 📐 EXPECTED MARKUP: see `.error-suggestions` in 404.html.
+ */
+class NotFoundSuggestions {
+  static MIN_SCORE = 0.5;
+  static CONFIDENT = 0.8;
+  static MARGIN = 0.1;
+  static MAX_SUGGESTIONS = 3;
+  static REDIRECT_DELAY = 5000;
+
+  /** The site's root folder: this file lives in <root>/assets/js/ */
+  static SITE_ROOT = new URL(
+    "../../",
+    document.currentScript?.src || location.href
+  );
+
+  /**
+   * "Café Noir.html" → "cafe-noir"
+   *
+   * @param {string} text
+   * @returns {string}
+   */
+  static slugify(text) {
+    return text
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .replace(/\.[a-z0-9]+$/, "") // File extension
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "");
+  }
+
+  /**
+   * The words of the requested address worth matching: every path
+   * segment below the site root (and in the hash), plus all of them
+   * joined ("comic/volkov" → also "comic-volkov").
+   *
+   * @param {string} path - location.pathname (+ hash)
+   * @param {string} [base="/"] - Pathname of the site root
+   * @returns {string[]}
+   */
+  static tokenize(path, base = "/") {
+    const relative = path.startsWith(base) ? path.slice(base.length) : path;
+    const segments = relative
+      .split(/[/#?]+/)
+      .map((segment) => {
+        try {
+          return NotFoundSuggestions.slugify(decodeURIComponent(segment));
+        } catch {
+          return NotFoundSuggestions.slugify(segment); // Malformed %xx
+        }
+      })
+      .filter((segment) => segment && !["index", "404"].includes(segment));
+
+    return segments.length > 1 ? [...segments, segments.join("-")] : segments;
+  }
+
+  /**
+   * Levenshtein distance: the fewest single-letter edits that turn `a`
+   * into `b` (both are short, so the simple table is fine).
+   *
+   * @param {string} a
+   * @param {string} b
+   * @returns {number}
+   */
+  static distance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+      const row = [i];
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        row[j] = Math.min(
+          previous[j] + 1, // Deletion
+          row[j - 1] + 1, // Insertion
+          previous[j - 1] + cost // Substitution
+        );
+      }
+      previous = row;
+    }
+    return previous[b.length];
+  }
+
+  /**
+   * How alike two slugs are, from 0 to 1.
+   *
+   * @param {string} a
+   * @param {string} b
+   * @returns {number}
+   */
+  static similarity(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+
+    const longer = Math.max(a.length, b.length);
+    const shorter = Math.min(a.length, b.length);
+    const edits = 1 - NotFoundSuggestions.distance(a, b) / longer;
+    // Three letters are too few to mean anything inside a longer word
+    const contains =
+      shorter >= 3 && (a.includes(b) || b.includes(a))
+        ? 0.6 + 0.4 * (shorter / longer)
+        : 0;
+
+    return Math.max(edits, contains);
+  }
+
+  /**
+   * Score destinations against the tokens, best first.
+   *
+   * @param {string[]} tokens - From tokenize()
+   * @param {Array<{names: string[]}>} destinations
+   * @returns {Array<{destination: object, score: number}>}
+   */
+  static rank(tokens, destinations) {
+    return destinations
+      .map((destination) => ({
+        destination,
+        score: Math.max(
+          0,
+          ...tokens.flatMap((token) =>
+            destination.names.map((name) =>
+              NotFoundSuggestions.similarity(token, name)
+            )
+          )
+        ),
+      }))
+      .filter(({ score }) => score >= NotFoundSuggestions.MIN_SCORE)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * @param {HTMLElement} root - The `.error-suggestions` block
+   */
+  constructor(root) {
+    this.root = root;
+    this.list = root.querySelector(".error-suggestions-list");
+    this.status = root.querySelector(".error-redirect");
+    this.stayButton = root.querySelector(".error-redirect-cancel");
+
+    this.destinations = [];
+    this.matches = [];
+    this.redirectTimer = null;
+
+    // 🎯 One AbortController removes every listener in destroy()
+    this.listeners = new AbortController();
+    this.bindEvents();
+  }
+
+  bindEvents() {
+    const { signal } = this.listeners;
+
+    this.stayButton?.addEventListener("click", () => this.cancelRedirect(), {
+      signal,
+    });
+
+    // Titles come from the dictionaries: follow the language
+    document.addEventListener("i18n:change", () => this.render(), {
+      signal,
+    });
+  }
+
+  /**
+   * Collect the destinations, rank them against the address and show
+   * the result.
+   *
+   * @returns {Promise<void>}
+   */
+  async suggest() {
+    const root = NotFoundSuggestions.SITE_ROOT;
+    const tokens = NotFoundSuggestions.tokenize(
+      `${location.pathname}${location.hash}`,
+      root.pathname
+    );
+    if (!tokens.length) return;
+
+    try {
+      this.destinations = await this.loadDestinations();
+    } catch (error) {
+      console.error("⚠️ 404 suggestions could not be loaded:", error);
+      return;
+    }
+
+    this.matches = NotFoundSuggestions.rank(tokens, this.destinations).slice(
+      0,
+      NotFoundSuggestions.MAX_SUGGESTIONS
+    );
+    this.render();
+
+    const [best, next] = this.matches;
+    const isConfident =
+      best &&
+      best.score >= NotFoundSuggestions.CONFIDENT &&
+      best.score - (next?.score || 0) >= NotFoundSuggestions.MARGIN;
+    if (isConfident) this.scheduleRedirect(best.destination);
+  }
+
+  /**
+   * The home page sections and every project.
+   *
+   * @returns {Promise<object[]>}
+   */
+  async loadDestinations() {
+    const root = NotFoundSuggestions.SITE_ROOT;
+    const [page, data] = await Promise.all([
+      fetch(root).then((response) => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.text();
+      }),
+      fetch(new URL("assets/data/projects.json", root)).then((response) => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+      }),
+    ]);
+
+    const html = new DOMParser().parseFromString(page, "text/html");
+    const sections = Array.from(html.querySelectorAll("section[id]")).map(
+      (section) => {
+        const heading = section.querySelector("h2");
+        return {
+          type: "section",
+          id: section.id,
+          // The same keys the home page translates them with
+          titleKey:
+            heading?.dataset.i18n ||
+            section.dataset.i18nAttr?.replace(/^aria-label:/, ""),
+          fallback:
+            heading?.textContent.trim() ||
+            section.getAttribute("aria-label") ||
+            section.id,
+          url: new URL(`#${section.id}`, root).href,
+        };
+      }
+    );
+
+    const projects = (data.categories || []).flatMap((category) =>
+      category.projects.map((project) => ({
+        type: "project",
+        id: project.slug,
+        category: category.id,
+        categoryTitle: category.title,
+        titleKey: `projects.items.${category.id}.${project.slug}.title`,
+        fallback: project.title,
+        url: new URL(ProjectRouter.toHash(category.id, project.slug), root)
+          .href,
+      }))
+    );
+
+    return [...sections, ...projects].map((destination) => ({
+      ...destination,
+      names: [
+        destination.id,
+        destination.category && `${destination.category}-${destination.id}`,
+        NotFoundSuggestions.slugify(destination.fallback),
+      ].filter(Boolean),
+    }));
+  }
+
+  getTitle(destination) {
+    return destination.titleKey
+      ? t(destination.titleKey, destination.fallback)
+      : destination.fallback;
+  }
+
+  render() {
+    if (!this.matches.length) return;
+
+    this.list.replaceChildren(
+      ...this.matches.map(({ destination }) => {
+        const title = document.createElement("span");
+        title.className = "error-suggestion-title";
+        title.textContent = this.getTitle(destination);
+
+        const type = document.createElement("span");
+        type.className = "error-suggestion-type";
+        type.textContent =
+          destination.type === "project"
+            ? t("notFound.project", "Project · {category}", {
+                category: t(
+                  `projects.categories.${destination.category}`,
+                  destination.categoryTitle
+                ),
+              })
+            : t("notFound.section", "Section");
+
+        const link = document.createElement("a");
+        link.href = destination.url;
+        link.append(title, type);
+
+        const item = document.createElement("li");
+        item.append(link);
+        return item;
+      })
+    );
+    this.root.hidden = false;
+  }
+
+  /** ♿ Announced once, and can be stopped (WCAG 2.2.1 Timing Adjustable). */
+  scheduleRedirect(destination) {
+    this.status.textContent = t(
+      "notFound.redirecting",
+      "Taking you to {title} in {seconds} seconds…",
+      {
+        title: this.getTitle(destination),
+        seconds: NotFoundSuggestions.REDIRECT_DELAY / 1000,
+      }
+    );
+    if (this.stayButton) this.stayButton.hidden = false;
+
+    this.redirectTimer = setTimeout(() => {
+      location.assign(destination.url);
+    }, NotFoundSuggestions.REDIRECT_DELAY);
+  }
+
+  cancelRedirect() {
+    clearTimeout(this.redirectTimer);
+    this.redirectTimer = null;
+    this.status.textContent = t(
+      "notFound.stayed",
+      "Staying here: choose a page below."
+    );
+    if (this.stayButton) this.stayButton.hidden = true;
+    this.list.querySelector("a")?.focus();
+  }
+
+  destroy() {
+    this.listeners.abort();
+    clearTimeout(this.redirectTimer);
+  }
+}
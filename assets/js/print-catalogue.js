@@ -0,0 +1,287 @@
+// ==========================================================================
+// PRINT / PDF CATALOGUE
+// ==========================================================================
+
+/**
+ * Turns the page into a printable catalogue: a cover, then every project
+ * on its own page. "Save as PDF" in the print dialog makes the PDF
+ * portfolio art directors ask for.
+ *
+ * 🎓 WHY A SEPARATE LAYOUT?
+ * Printing the page as it is shows one card per carousel (the others are
+ * off-screen), the fixed nav on every sheet and an empty lightbox. Instead
+ * of fighting all of that with print styles, the catalogue is built as its
+ * own block from what the page shows (so it follows the current language),
+ * and print.css prints ONLY that block.
+ *
+ * 📐 WHAT IS PRINTED:
+ * 1. Cover: the first hero image, the title and subtitle, and the contact
+ *    details (links are written out: paper can't be clicked)
+ * 2. One page per project, category by category: image, category, title
+ *    and description
+ *
+ * ⚠️ IMAGES: project images are lazy-loaded, and the print dialog does not
+ * wait for images that haven't arrived. print() builds the catalogue,
+ * waits for every image (up to IMAGE_TIMEOUT), and only then opens the
+ * dialog. Ctrl+P skips that wait: the catalogue is still built, but slow
+ * images may print blank, which is why the page has its own button.
+ *
+ * 📐 EXPECTED MARKUP:
+ *   <div class="print-catalogue"></div>       → filled in by render()
+ *   <button data-print-catalogue>…</button>   → any number of triggers
+ */
+class PrintCatalogue {
+  /** Longest wait (ms) for the images before printing anyway. */
+  static IMAGE_TIMEOUT = 15000;
+
+  /** Image width requested from ImageKit: sharp on an A4 sheet. */
+  static IMAGE_WIDTH = 1440;
+
+  /**
+   * @param {HTMLElement} root - The `.print-catalogue` container
+   * @param {object} [options]
+   * @param {ParentNode} [options.scope=document] - Where the hero, projects
+   *   and contact details are read from
+   */
+  constructor(root, { scope = document } = {}) {
+    this.root = root;
+    this.scope = scope;
+    this.isPreparing = false;
+
+    // 🎯 One AbortController removes every listener in destroy()
+    this.listeners = new AbortController();
+    this.bindEvents();
+  }
+
+  bindEvents() {
+    const { signal } = this.listeners;
+
+    // Delegated: a trigger may be added later (or live in the palette)
+    document.addEventListener(
+      "click",
+      (e) => {
+        if (e.target.closest("[data-print-catalogue]")) this.print();
+      },
+      { signal }
+    );
+
+    // Ctrl+P or the browser menu: no time to wait for images, but the
+    // catalogue is still what gets printed
+    window.addEventListener(
+      "beforeprint",
+      () => {
+        if (!this.isPreparing) this.render();
+      },
+      { signal }
+    );
+  }
+
+  /**
+   * Build the catalogue, wait for its images, then open the print dialog.
+   *
+   * @returns {Promise<void>}
+   */
+  async print() {
+    if (this.isPreparing) return;
+
+    this.isPreparing = true;
+    this.setBusy(true);
+
+    try {
+      this.render();
+      await this.waitForImages();
+      window.print();
+    } finally {
+      this.isPreparing = false;
+      this.setBusy(false);
+    }
+  }
+
+  /** Tell the triggers (and screen readers) that the catalogue is loading. */
+  setBusy(isBusy) {
+    document.querySelectorAll("[data-print-catalogue]").forEach((trigger) => {
+      trigger.toggleAttribute("aria-busy", isBusy);
+      trigger.disabled = isBusy;
+    });
+    document.documentElement.classList.toggle("is-preparing-print", isBusy);
+  }
+
+  /** (Re)build the catalogue from the page as it is right now. */
+  render() {
+    const projects = this.getProjects();
+
+    this.root.replaceChildren(
+      this.createCover(projects.length),
+      ...projects.map((project, index) =>
+        this.createProjectPage(project, index + 1, projects.length)
+      )
+    );
+    // print.css hides the rest of the page only when this is set
+    document.documentElement.classList.add("has-print-catalogue");
+  }
+
+  /**
+   * Every project card (clones excluded), in page order, with its text as
+   * currently shown.
+   *
+   * @returns {Array<{category: string, title: string, description: string,
+   *   image: HTMLImageElement|null}>}
+   */
+  getProjects() {
+    return Array.from(
+      this.scope.querySelectorAll(".projects-category")
+    ).flatMap((categoryEl) => {
+      const category =
+        categoryEl.querySelector(".projects-subtitle")?.textContent.trim() ||
+        "";
+
+      return Array.from(
+        categoryEl.querySelectorAll(".project-carousel-card:not(.is-clone)")
+      ).map((card) => ({
+        category,
+        title: card.querySelector("h3")?.textContent.trim() || "",
+        description:
+          card
+            .querySelector(".project-carousel-content p")
+            ?.textContent.trim() || "",
+        image: card.querySelector(".project-carousel-open img"),
+      }));
+    });
+  }
+
+  /**
+   * A print-sized copy of a page image: the original (`data-full`, or
+   * `data-bg` for the hero), resized by ImageKit when possible.
+   *
+   * @param {string} src
+   * @param {string} alt
+   * @returns {HTMLImageElement}
+   */
+  createImage(src, alt) {
+    // Not lazy: an image below the fold of an unprinted page never loads
+    return createElement("img", {
+      src: ImageKit.url(src, { width: PrintCatalogue.IMAGE_WIDTH }),
+      alt,
+      decoding: "sync",
+    });
+  }
+
+  createCover(projectCount) {
+    const hero = this.scope.querySelector(".hero");
+    // The first slide's image, whether or not the slideshow reached it yet
+    const slide = hero?.querySelector(".carousel-slide[data-bg]");
+
+    // The title mixes letters and an SVG star: keep only the letters
+    const title =
+      hero?.querySelector(".hero-title")?.textContent.replace(/\s+/g, "") ||
+      document.title;
+    const subtitle =
+      hero?.querySelector(".hero-subtitle")?.textContent.trim() || "";
+
+    return createElement("section", { className: "print-cover" }, [
+      ...(slide ? [this.createImage(slide.dataset.bg, "")] : []),
+      createElement("h1", { text: title }),
+      createElement("p", { className: "print-cover-subtitle", text: subtitle }),
+      createElement("p", {
+        className: "print-cover-count",
+        text: t("print.count", "{count} projects", { count: projectCount }),
+      }),
+      this.createContact(),
+    ]);
+  }
+
+  /**
+   * The contact links, written out in full, plus the address of the site.
+   *
+   * @returns {HTMLElement}
+   */
+  createContact() {
+    const links = Array.from(
+      this.scope.querySelectorAll(".contact .social-links a[href]")
+    );
+    const pageUrl = `${location.origin}${location.pathname}`;
+
+    const items = [
+      ...links.map((link) => {
+        const href = link.getAttribute("href");
+        return {
+          label: link.textContent.trim(),
+          value: href.startsWith("mailto:")
+            ? href.slice("mailto:".length)
+            : href,
+        };
+      }),
+      { label: t("print.website", "Website"), value: pageUrl },
+    ];
+
+    return createElement("div", { className: "print-contact" }, [
+      createElement("h2", { text: t("print.contact", "Contact") }),
+      createElement(
+        "dl",
+        {},
+        items.flatMap(({ label, value }) => [
+          createElement("dt", { text: label }),
+          createElement("dd", { text: value }),
+        ])
+      ),
+    ]);
+  }
+
+  createProjectPage(project, number, total) {
+    const { image } = project;
+    const src = image?.dataset.full || image?.getAttribute("src");
+
+    return createElement("article", { className: "print-project" }, [
+      ...(src
+        ? [createElement("figure", {}, [this.createImage(src, image.alt)])]
+        : []),
+      createElement("p", {
+        className: "print-project-category",
+        text: project.category,
+      }),
+      createElement("h2", { text: project.title }),
+      createElement("p", { text: project.description }),
+      createElement("p", {
+        className: "print-project-number",
+        text: t("print.page", "{n} / {total}", { n: number, total }),
+      }),
+    ]);
+  }
+
+  /**
+   * Resolve once every catalogue image has loaded (or failed), or after
+   * IMAGE_TIMEOUT: a missing image should not block printing forever.
+   *
+   * @returns {Promise<void>}
+   */
+  waitForImages() {
+    const pending = Array.from(this.root.querySelectorAll("img"))
+      .filter((img) => !img.complete)
+      .map(
+        (img) =>
+          new Promise((resolve) => {
+            img.addEventListener("load", resolve, { once: true });
+            img.addEventListener("error", resolve, { once: true });
+          })
+      );
+
+    let timer;
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(() => {
+        console.warn("⚠️ Printing before every image had loaded");
+        resolve();
+      }, PrintCatalogue.IMAGE_TIMEOUT);
+    });
+
+    return Promise.race([Promise.all(pending), timeout]).finally(() =>
+      clearTimeout(timer)
+    );
+  }
+
+  destroy() {
+    this.listeners.abort();
+    this.setBusy(false);
+    this.root.replaceChildren();
+    document.documentElement.classList.remove("has-print-catalogue");
+  }
+}
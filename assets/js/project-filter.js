@@ -0,0 +1,396 @@
+// ==========================================================================
+// PROJECT FILTER AND SEARCH
+// ==========================================================================
+
+/**
+ * Tag chips and a text search over every project, whatever its category.
+ *
+ * 🎓 WHAT THIS DOES:
+ * - One chip per tag found on the cards (`data-tags`), multi-select: a
+ *   project must have ALL selected tags
+ * - A search box matching titles and descriptions (in the current
+ *   language, since it reads the rendered cards)
+ * - While a filter is active, the carousels are replaced by ONE list of
+ *   matching projects across all categories, with counts
+ * - The filters live in the URL (?tags=fanart,original&q=kai), so a
+ *   filtered view can be bookmarked or shared
+ *
+ * 📐 EXPECTED MARKUP:
+ *   <div class="projects-filter">
+ *     <input type="search" class="projects-search" />
+ *     <div class="projects-tags"></div>          ← chips are generated
+ *     <button class="projects-filter-clear" hidden>Clear filters</button>
+ *     <p class="projects-filter-summary" role="status"></p>
+ *   </div>
+ *   <ul class="projects-results" hidden></ul>
+ *
+ * Clicking a result opens the project in the lightbox, where previous/next
+ * browse the matching projects only.
+ */
+class ProjectFilter {
+  static PARAMS = { tags: "tags", query: "q" };
+  static SEARCH_DELAY = 150;
+
+  /**
+   * Lower-case, accent-free text, so "comic" finds "Cómic".
+   *
+   * @param {string} text
+   * @returns {string}
+   */
+  static normalize(text) {
+    return text
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .trim();
+  }
+
+  /**
+   * @param {HTMLElement} root - The `.projects-filter` bar
+   * @param {object} options
+   * @param {HTMLElement} options.container - Where the category carousels are
+   * @param {HTMLElement} options.results - The `.projects-results` list
+   * @param {Lightbox|null} [options.lightbox] - Opens clicked results
+   */
+  constructor(root, { container, results, lightbox = null }) {
+    this.root = root;
+    this.container = container;
+    this.results = results;
+    this.lightbox = lightbox;
+
+    this.search = root.querySelector(".projects-search");
+    this.tagList = root.querySelector(".projects-tags");
+    this.clearButton = root.querySelector(".projects-filter-clear");
+    this.summary = root.querySelector(".projects-filter-summary");
+
+    this.cards = Array.from(
+      container.querySelectorAll(".project-carousel-card:not(.is-clone)")
+    );
+    this.selectedTags = new Set();
+    this.query = "";
+    this.matches = [];
+    this.searchTimer = null;
+    this.listeners = new AbortController();
+
+    this.renderChips();
+    this.readURL();
+    this.bindEvents();
+    this.update({ updateURL: false });
+  }
+
+  get isActive() {
+    return this.selectedTags.size > 0 || this.query !== "";
+  }
+
+  /** @returns {string[]} the tags of a card */
+  getTags(card) {
+    return (card.dataset.tags || "").split(",").filter(Boolean);
+  }
+
+  /** One chip per tag, most used first. */
+  renderChips() {
+    const counts = new Map();
+    this.cards.forEach((card) => {
+      this.getTags(card).forEach((tag) => {
+        counts.set(tag, (counts.get(tag) || 0) + 1);
+      });
+    });
+
+    const tags = [...counts].sort(
+      ([a, countA], [b, countB]) => countB - countA || a.localeCompare(b)
+    );
+
+    this.tagList.replaceChildren(
+      ...tags.map(([tag, count]) =>
+        createElement(
+          "button",
+          {
+            type: "button",
+            className: "projects-tag",
+            "data-tag": tag,
+            "aria-pressed": "false",
+          },
+          [
+            createElement("span", { className: "projects-tag-label" }),
+            createElement("span", {
+              className: "projects-tag-count",
+              text: String(count),
+            }),
+          ]
+        )
+      )
+    );
+    this.labelChips();
+  }
+
+  /** Chip text follows the current language. */
+  labelChips() {
+    this.tagList.querySelectorAll(".projects-tag").forEach((chip) => {
+      const { tag } = chip.dataset;
+      const label = t(`projects.tags.${tag}`, tag);
+      chip.querySelector(".projects-tag-label").textContent = label;
+      chip.setAttribute(
+        "aria-label",
+        t("projects.filter.tagLabel", "{tag} ({count} projects)", {
+          tag: label,
+          count: chip.querySelector(".projects-tag-count").textContent,
+        })
+      );
+    });
+  }
+
+  bindEvents() {
+    const { signal } = this.listeners;
+
+    this.tagList.addEventListener(
+      "click",
+      (e) => {
+        const chip = e.target.closest(".projects-tag");
+        if (!chip) return;
+
+        const { tag } = chip.dataset;
+        if (this.selectedTags.has(tag)) this.selectedTags.delete(tag);
+        else this.selectedTags.add(tag);
+        this.update();
+      },
+      { signal }
+    );
+
+    this.search?.addEventListener(
+      "input",
+      () => {
+        clearTimeout(this.searchTimer);
+        this.searchTimer = setTimeout(() => {
+          this.query = this.search.value.trim();
+          this.update();
+        }, ProjectFilter.SEARCH_DELAY);
+      },
+      { signal }
+    );
+
+    this.clearButton?.addEventListener("click", () => this.clear(), {
+      signal,
+    });
+
+    this.results.addEventListener(
+      "click",
+      (e) => {
+        const button = e.target.closest(".projects-result");
+        if (!button) return;
+
+        const card = this.cards.find(
+          (c) =>
+            c.dataset.category === button.dataset.category &&
+            c.dataset.project === button.dataset.project
+        );
+        // ♿ The result button is the trigger, so focus comes back to it
+        if (card) {
+          this.lightbox?.open(card, { trigger: button, items: this.matches });
+        }
+      },
+      { signal }
+    );
+
+    // Titles, descriptions and chip labels change with the language
+    document.addEventListener(
+      "i18n:change",
+      () => {
+        this.labelChips();
+        this.update({ updateURL: false });
+      },
+      { signal }
+    );
+  }
+
+  /** Restore the filters from ?tags=…&q=… */
+  readURL() {
+    const params = new URLSearchParams(location.search);
+    const known = new Set(
+      Array.from(
+        this.tagList.querySelectorAll(".projects-tag"),
+        (chip) => chip.dataset.tag
+      )
+    );
+
+    (params.get(ProjectFilter.PARAMS.tags) || "")
+      .split(",")
+      .filter((tag) => known.has(tag))
+      .forEach((tag) => this.selectedTags.add(tag));
+
+    this.query = (params.get(ProjectFilter.PARAMS.query) || "").trim();
+    if (this.search) this.search.value = this.query;
+  }
+
+  /**
+   * Write the filters to the URL without adding history entries (typing a
+   * search should not fill the Back button with every keystroke).
+   */
+  writeURL() {
+    const url = new URL(location.href);
+    const { tags, query } = ProjectFilter.PARAMS;
+
+    if (this.selectedTags.size) {
+      url.searchParams.set(tags, [...this.selectedTags].join(","));
+    } else {
+      url.searchParams.delete(tags);
+    }
+    if (this.query) url.searchParams.set(query, this.query);
+    else url.searchParams.delete(query);
+
+    // Readable commas in shared links: ?tags=fanart,original
+    url.search = url.searchParams.toString().replace(/%2C/g, ",");
+    history.replaceState(history.state, "", url);
+  }
+
+  /** @returns {HTMLElement[]} cards matching every active filter */
+  getMatches() {
+    const words = ProjectFilter.normalize(this.query)
+      .split(/\s+/)
+      .filter(Boolean);
+
+    return this.cards.filter((card) => {
+      const tags = this.getTags(card);
+      if (![...this.selectedTags].every((tag) => tags.includes(tag))) {
+        return false;
+      }
+
+      const text = ProjectFilter.normalize(
+        `${card.querySelector("h3")?.textContent} ${
+          card.querySelector("p")?.textContent
+        }`
+      );
+      return words.every((word) => text.includes(word));
+    });
+  }
+
+  /**
+   * Apply the filters: chips, URL, result list and summary.
+   *
+   * @param {object} [options]
+   * @param {boolean} [options.updateURL=true]
+   */
+  update({ updateURL = true } = {}) {
+    clearTimeout(this.searchTimer);
+
+    this.tagList.querySelectorAll(".projects-tag").forEach((chip) => {
+      chip.setAttribute(
+        "aria-pressed",
+        String(this.selectedTags.has(chip.dataset.tag))
+      );
+    });
+    if (this.clearButton) this.clearButton.hidden = !this.isActive;
+    if (updateURL) this.writeURL();
+
+    // No filter: the normal carousels
+    this.container.hidden = this.isActive;
+    this.results.hidden = !this.isActive;
+    if (!this.isActive) {
+      this.matches = [];
+      this.results.replaceChildren();
+      this.summary.textContent = "";
+      return;
+    }
+
+    this.matches = this.getMatches();
+    this.results.replaceChildren(
+      ...this.matches.map((card) =>
+        createElement("li", {}, [this.createResult(card)])
+      )
+    );
+    this.summary.textContent = this.describe(this.matches);
+  }
+
+  /**
+   * "5 projects: Illustration 3 · Comic 2"
+   *
+   * @param {HTMLElement[]} matches
+   * @returns {string}
+   */
+  describe(matches) {
+    if (matches.length === 0) {
+      return t("projects.filter.none", "No projects match these filters.");
+    }
+
+    const perCategory = new Map();
+    matches.forEach((card) => {
+      const name = this.getCategoryName(card);
+      perCategory.set(name, (perCategory.get(name) || 0) + 1);
+    });
+
+    const total =
+      matches.length === 1
+        ? t("projects.filter.countOne", "1 project")
+        : t("projects.filter.count", "{count} projects", {
+            count: matches.length,
+          });
+    const breakdown = [...perCategory]
+      .map(([name, count]) => `${name} ${count}`)
+      .join(" · ");
+    return `${total}: ${breakdown}`;
+  }
+
+  getCategoryName(card) {
+    return (
+      card
+        .closest(".projects-category")
+        ?.querySelector(".projects-subtitle")
+        ?.textContent.trim() || card.dataset.category
+    );
+  }
+
+  /** A compact, clickable row for one matching card. */
+  createResult(card) {
+    const thumb = card.querySelector(".project-carousel-image img");
+    const title = card.querySelector("h3")?.textContent.trim() || "";
+
+    return createElement(
+      "button",
+      {
+        type: "button",
+        className: "projects-result",
+        "data-category": card.dataset.category,
+        "data-project": card.dataset.project,
+      },
+      [
+        createElement("img", {
+          className: "projects-result-thumb",
+          src: ImageKit.url(thumb?.dataset.full || thumb?.src || "", {
+            width: 160,
+          }),
+          alt: "",
+          loading: "lazy",
+        }),
+        createElement("span", { className: "projects-result-text" }, [
+          createElement("span", {
+            className: "projects-result-title",
+            text: title,
+          }),
+          createElement("span", {
+            className: "projects-result-category",
+            text: this.getCategoryName(card),
+          }),
+        ]),
+      ]
+    );
+  }
+
+  /** Remove every filter and show the carousels again. */
+  clear() {
+    this.selectedTags.clear();
+    this.query = "";
+    if (this.search) this.search.value = "";
+    this.update();
+    this.search?.focus();
+  }
+
+  /** Remove the listeners and put the carousels back, even mid-filter. */
+  destroy() {
+    clearTimeout(this.searchTimer);
+    this.listeners.abort();
+
+    this.container.hidden = false;
+    this.results.hidden = true;
+    this.results.replaceChildren();
+    this.summary.textContent = "";
+  }
+}
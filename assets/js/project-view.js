@@ -0,0 +1,119 @@
+// ==========================================================================
+// PROJECT VIEW SWITCH (CAROUSEL / GRID)
+// ==========================================================================
+
+/**
+ * Switches the whole Projects section between the carousels and a
+ * masonry grid.
+ *
+ * 🎓 WHY TWO VIEWS?
+ * A carousel is great for looking at one piece closely, but a poor way to
+ * scan a whole body of work. The grid shows every project of a category at
+ * once, each image at its own aspect ratio.
+ *
+ * 📐 HOW IT WORKS:
+ * projects.js renders BOTH views for every category. This class only sets
+ * `data-view="carousel|grid"` on the categories container; CSS (grid.css)
+ * shows one and hides the other. The choice is saved in localStorage.
+ *
+ * 📐 EXPECTED MARKUP:
+ *   <div class="projects-view-switch" role="group">
+ *     <button data-view-switch="carousel" aria-pressed="true">…</button>
+ *     <button data-view-switch="grid" aria-pressed="false">…</button>
+ *   </div>
+ *
+ * Grid items open the same lightbox as the carousel cards.
+ */
+class ProjectView {
+  static VIEWS = ["carousel", "grid"];
+  static DEFAULT_VIEW = "carousel";
+  static STORAGE_KEY = "projects-view";
+
+  /** @returns {string} the saved view, else the default */
+  static getSaved() {
+    try {
+      const saved = localStorage.getItem(ProjectView.STORAGE_KEY);
+      if (ProjectView.VIEWS.includes(saved)) return saved;
+    } catch {
+      // Storage disabled: use the default
+    }
+    return ProjectView.DEFAULT_VIEW;
+  }
+
+  /**
+   * @param {HTMLElement} root - The `.projects-view-switch` group
+   * @param {object} options
+   * @param {HTMLElement} options.container - The categories container
+   * @param {Lightbox|null} [options.lightbox] - Opened by grid items
+   */
+  constructor(root, { container, lightbox = null }) {
+    this.root = root;
+    this.container = container;
+    this.lightbox = lightbox;
+    this.buttons = Array.from(root.querySelectorAll("[data-view-switch]"));
+    this.listeners = new AbortController();
+
+    this.setView(ProjectView.getSaved(), { persist: false });
+    this.bindEvents();
+  }
+
+  bindEvents() {
+    const { signal } = this.listeners;
+
+    this.root.addEventListener(
+      "click",
+      (e) => {
+        const button = e.target.closest("[data-view-switch]");
+        if (button) this.setView(button.dataset.viewSwitch);
+      },
+      { signal }
+    );
+
+    this.container.addEventListener(
+      "click",
+      (e) => {
+        const button = e.target.closest(".projects-grid-open");
+        if (!button) return;
+
+        const { category, project } = button.dataset;
+        const card = this.container.querySelector(
+          `.project-carousel-card[data-category="${CSS.escape(
+            category
+          )}"][data-project="${CSS.escape(project)}"]`
+        );
+        // ♿ Focus returns to the grid item, not the hidden carousel card
+        if (card) this.lightbox?.open(card, { trigger: button });
+      },
+      { signal }
+    );
+  }
+
+  /**
+   * @param {string} view - "carousel" or "grid"
+   * @param {object} [options]
+   * @param {boolean} [options.persist=true] - Remember the choice
+   */
+  setView(view, { persist = true } = {}) {
+    if (!ProjectView.VIEWS.includes(view)) return;
+
+    this.view = view;
+    this.container.dataset.view = view;
+    this.buttons.forEach((button) => {
+      button.setAttribute(
+        "aria-pressed",
+        String(button.dataset.viewSwitch === view)
+      );
+    });
+
+    if (!persist) return;
+    try {
+      localStorage.setItem(ProjectView.STORAGE_KEY, view);
+    } catch {
+      // Not remembered, but the view still changes
+    }
+  }
+
+  destroy() {
+    this.listeners.abort();
+  }
+}
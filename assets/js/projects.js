@@ -0,0 +1,411 @@
+// ==========================================================================
+// PROJECTS CONTENT LOADER
+// ==========================================================================
+
+/**
+ * Renders the Projects section from `assets/data/projects.json`.
+ *
+ * 🎓 WHY JSON?
+ * Every card, subtitle and indicator dot used to be written by hand in
+ * index.html, with the same image URL and alt text repeated across dozens of
+ * lines. Keeping the content in one data file means the portfolio can be
+ * updated without touching HTML: add a project object, reload, done.
+ *
+ * 📐 DATA SHAPE:
+ * {
+ *   "categories": [{
+ *     "id": "comic",                  → used for classes and data attributes
+ *     "title": "Comic",               → subtitle shown above the carousel
+ *     "carousel": { "loop": false },  → optional Carousel data attributes
+ *                                       (perView, step, autoplay… see
+ *                                       carousel.js)
+ *     "projects": [{
+ *       "slug": "volkov",             → unique within its category
+ *       "title": "Volkov",
+ *       "description": "…",
+ *       "tags": ["comic", "original"],
+ *       "image": { "src": "https://…", "alt": "…", "full": "https://…" }
+ *     }]
+ *   }]
+ * }
+ *
+ * `image.full` is optional: a larger file for the lightbox (defaults to src).
+ * ImageKit URLs are resized automatically (srcset + blur-up, see
+ * imagekit.js): always link the ORIGINAL upload here.
+ *
+ * 🌍 TRANSLATIONS:
+ * The JSON holds the English text. Other languages go in the i18n
+ * dictionaries (assets/i18n/<locale>.json), keyed by category and slug:
+ *   projects.categories.comic          → category subtitle
+ *   projects.items.comic.volkov.title  → also .description and .alt
+ * Anything missing there simply stays in English.
+ *
+ * 📐 THE FLOW:
+ * 1. loadProjects() fetches and validates the JSON
+ * 2. renderProjects() builds the markup the Carousel class expects, plus a
+ *    grid of the same projects (the view switch shows one or the other)
+ * 3. main.js starts a Carousel on each generated `.projects-carousel`
+ *
+ * `npm run build` runs steps 1–2 ahead of time (scripts/lib/prerender.js);
+ * the browser then only calls hydrateProjects().
+ */
+
+const PROJECTS_ARROW_ICONS = {
+  left: '<polyline points="15 18 9 12 15 6"></polyline>',
+  right: '<polyline points="9 18 15 12 9 6"></polyline>',
+};
+
+/**
+ * Small DOM helper: create an element with attributes and children.
+ *
+ * @param {string} tag
+ * @param {object} [attrs] - Attributes; `className` and `text` are shortcuts
+ * @param {Array<Node|string>} [children]
+ * @returns {HTMLElement}
+ */
+function createElement(tag, attrs = {}, children = []) {
+  const el = document.createElement(tag);
+
+  Object.entries(attrs).forEach(([name, value]) => {
+    if (value === undefined || value === null || value === false) return;
+    if (name === "className") el.className = value;
+    else if (name === "text") el.textContent = value;
+    else el.setAttribute(name, value === true ? "" : value);
+  });
+
+  el.append(...children);
+  return el;
+}
+
+/**
+ * Fetch the content file and check it.
+ *
+ * @param {string} url
+ * @returns {Promise<{categories: object[]}>}
+ */
+async function loadProjects(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Could not load ${url} (HTTP ${response.status})`);
+  }
+
+  return validateProjects(await response.json(), url);
+}
+
+/**
+ * Check the fields the renderer relies on (also used by the build).
+ *
+ * @param {object} data - Parsed projects.json
+ * @param {string} source - File name, for error messages
+ * @returns {{categories: object[]}} the same data
+ */
+function validateProjects(data, source) {
+  if (!Array.isArray(data?.categories)) {
+    throw new Error(`${source} has no "categories" array`);
+  }
+
+  data.categories.forEach((category) => {
+    if (!category.id || !Array.isArray(category.projects)) {
+      throw new Error(`Category "${category.title}" needs an id and projects`);
+    }
+
+    // 🎯 The slug is the card's address (#/projects/<category>/<slug>):
+    // two equal slugs would share one deep link
+    const slugs = new Set();
+    category.projects.forEach((project, index) => {
+      const name = `${category.id} project ${index + 1}`;
+      if (!project?.slug || !project.title || !project.image?.src) {
+        throw new Error(
+          `${source}: ${name} needs a slug, a title and an image.src`
+        );
+      }
+      if (slugs.has(project.slug)) {
+        throw new Error(
+          `${source}: "${project.slug}" is used twice in ${category.id}`
+        );
+      }
+      slugs.add(project.slug);
+    });
+  });
+
+  return data;
+}
+
+function createArrow(direction) {
+  const button = createElement("button", {
+    className: `carousel-arrow carousel-arrow-${direction}`,
+    type: "button",
+  });
+
+  button.innerHTML = `<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">${PROJECTS_ARROW_ICONS[direction]}</svg>`;
+  return button;
+}
+
+/**
+ * Card image widths, for `sizes`: the card fills the carousel on phones
+ * and takes half of it (next to the text) from 768px up.
+ */
+const PROJECTS_IMAGE_SIZES = "(min-width: 768px) 46vw, 95vw";
+
+/**
+ * One project card. The slug and category are stored as data attributes so
+ * the image modal (and anything else) can find the card's content later.
+ */
+function createProjectCard(project, category) {
+  const key = `projects.items.${category.id}.${project.slug}`;
+  const { src } = project.image;
+
+  // Right-sized ImageKit variants; the lightbox still gets the original
+  const srcset = ImageKit.srcset(src);
+  const image = createElement("img", {
+    src: ImageKit.url(src, { width: 800 }),
+    srcset: srcset || null,
+    sizes: srcset ? PROJECTS_IMAGE_SIZES : null,
+    alt: project.image.alt || "",
+    loading: "lazy",
+    decoding: "async",
+    "data-full": project.image.full || src,
+    "data-i18n-attr": project.image.alt ? `alt:${key}.alt` : null,
+  });
+
+  // A real button, so the lightbox can be opened from the keyboard too
+  // (its label is written by labelProjects)
+  const open = createElement(
+    "button",
+    { className: "project-carousel-open", type: "button" },
+    [image]
+  );
+
+  const content = createElement(
+    "div",
+    { className: "project-carousel-content" },
+    [
+      createElement("h3", { text: project.title, "data-i18n": `${key}.title` }),
+      createElement("p", {
+        text: project.description,
+        "data-i18n": `${key}.description`,
+      }),
+    ]
+  );
+
+  const imageWrapper = createElement(
+    "div",
+    { className: "project-carousel-image" },
+    [open]
+  );
+  ImageKit.blurUp(image, imageWrapper, src);
+
+  return createElement(
+    "div",
+    {
+      className: "project-carousel-card",
+      "data-project": project.slug,
+      "data-category": category.id,
+      "data-tags": (project.tags || []).join(","),
+    },
+    [imageWrapper, content]
+  );
+}
+
+/**
+ * Grid image widths: three columns on wide screens, two on tablets, one on
+ * phones (see grid.css).
+ */
+const PROJECTS_GRID_SIZES =
+  "(min-width: 1024px) 30vw, (min-width: 600px) 46vw, 95vw";
+
+/**
+ * The grid version of a category: every project at once, each image at its
+ * own aspect ratio. Items point at their carousel card (same category and
+ * slug), so the grid opens exactly the same lightbox.
+ *
+ * @param {object} category
+ * @returns {HTMLElement}
+ */
+function createProjectGrid(category) {
+  const items = category.projects.map((project) => {
+    const key = `projects.items.${category.id}.${project.slug}`;
+    const { src } = project.image;
+    const srcset = ImageKit.srcset(src);
+
+    return createElement("li", { className: "projects-grid-item" }, [
+      createElement(
+        "button",
+        {
+          className: "projects-grid-open",
+          type: "button",
+          "data-category": category.id,
+          "data-project": project.slug,
+        },
+        [
+          createElement("img", {
+            src: ImageKit.url(src, { width: 640 }),
+            srcset: srcset || null,
+            sizes: srcset ? PROJECTS_GRID_SIZES : null,
+            alt: project.image.alt || "",
+            loading: "lazy",
+            decoding: "async",
+            "data-i18n-attr": project.image.alt ? `alt:${key}.alt` : null,
+          }),
+          createElement("span", {
+            className: "projects-grid-title",
+            text: project.title,
+            "data-i18n": `${key}.title`,
+          }),
+        ]
+      ),
+    ]);
+  });
+
+  // Same scroll-reveal cascade as the rest of the page (scroll-reveal.js)
+  return createElement(
+    "ul",
+    { className: "projects-grid", "data-reveal-stagger": true },
+    items
+  );
+}
+
+/**
+ * A full category: subtitle, carousel, indicator dots and the grid view.
+ *
+ * @param {object} category
+ * @returns {HTMLElement}
+ */
+function createCategory(category) {
+  const carouselAttrs = {};
+  Object.entries(category.carousel || {}).forEach(([option, value]) => {
+    // { swipeThreshold: 50 } → data-swipe-threshold="50"
+    const attr = option.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`);
+    carouselAttrs[`data-${attr}`] = value === true ? true : String(value);
+  });
+
+  const track = createElement(
+    "div",
+    { className: "carousel-track" },
+    category.projects.map((project) => createProjectCard(project, category))
+  );
+
+  const carousel = createElement(
+    "div",
+    {
+      className: `projects-carousel projects-carousel-${category.id}`,
+      ...carouselAttrs,
+    },
+    [
+      createArrow("left"),
+      createElement("div", { className: "carousel-container" }, [track]),
+      createArrow("right"),
+    ]
+  );
+
+  // The dots are added by the Carousel: one per page, and how many cards
+  // make a page depends on the screen width
+  const indicators = createElement("div", {
+    className: `carousel-indicators carousel-indicators-${category.id}`,
+  });
+
+  return createElement(
+    "div",
+    {
+      className: "projects-category",
+      id: `projects-${category.id}`,
+      "data-category": category.id,
+    },
+    [
+      createElement("h3", {
+        className: `projects-subtitle projects-subtitle-${category.id}`,
+        text: category.title,
+        "data-i18n": `projects.categories.${category.id}`,
+      }),
+      carousel,
+      indicators,
+      createProjectGrid(category),
+    ]
+  );
+}
+
+/**
+ * Replace the container's content with the generated categories.
+ *
+ * @param {HTMLElement} container
+ * @param {{categories: object[]}} data
+ */
+function renderProjects(container, data) {
+  const fragment = document.createDocumentFragment();
+  data.categories.forEach((category) => {
+    fragment.append(createCategory(category));
+  });
+
+  container.replaceChildren(fragment);
+  container.removeAttribute("aria-busy");
+
+  I18n.current?.translate(container);
+  labelProjects(container);
+}
+
+/**
+ * Bring markup pre-rendered by the build (npm run build) to life: the
+ * cards are already in the HTML, only the image fade-in needs JavaScript.
+ *
+ * @param {HTMLElement} container
+ */
+function hydrateProjects(container) {
+  container.querySelectorAll(".project-carousel-image").forEach((wrapper) => {
+    const image = wrapper.querySelector("img");
+    // The build already set the placeholder background
+    if (image) ImageKit.blurUp(image, wrapper);
+  });
+  container.removeAttribute("aria-busy");
+}
+
+/**
+ * (Re)write the button labels that combine fixed words with project or
+ * category titles ("View Volkov full size"). Built from the titles on the
+ * page, so they follow the current language; main.js calls this again on
+ * every `i18n:change`.
+ *
+ * @param {ParentNode} root
+ */
+function labelProjects(root) {
+  root.querySelectorAll(".projects-category").forEach((categoryEl) => {
+    const category = categoryEl
+      .querySelector(".projects-subtitle")
+      .textContent.trim();
+
+    categoryEl
+      .querySelector(".carousel-arrow-left")
+      ?.setAttribute(
+        "aria-label",
+        t("projects.previous", "Previous {category} project", { category })
+      );
+    categoryEl
+      .querySelector(".carousel-arrow-right")
+      ?.setAttribute(
+        "aria-label",
+        t("projects.next", "Next {category} project", { category })
+      );
+
+    // Clones (carousel.js) are aria-hidden: no label needed
+    categoryEl
+      .querySelectorAll(".project-carousel-card:not(.is-clone)")
+      .forEach((card) => {
+        const title = card.querySelector("h3").textContent.trim();
+        card
+          .querySelector(".project-carousel-open")
+          ?.setAttribute(
+            "aria-label",
+            t("projects.view", "View {title} full size", { title })
+          );
+      });
+
+    categoryEl.querySelectorAll(".projects-grid-open").forEach((button) => {
+      const title = button
+        .querySelector(".projects-grid-title")
+        .textContent.trim();
+      button.setAttribute(
+        "aria-label",
+        t("projects.view", "View {title} full size", { title })
+      );
+    });
+  });
+}
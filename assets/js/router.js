@@ -0,0 +1,208 @@
+// ==========================================================================
+// DEEP LINKS (HASH ROUTING)
+// ==========================================================================
+
+/**
+ * Shareable URLs for single projects.
+ *
+ * 🎓 WHY HASH ROUTES?
+ * The site is static (GitHub Pages), so there is no server to answer
+ * `/projects/comic/volkov`. Everything after `#` stays in the browser, which
+ * makes it the simplest way to give each piece its own link:
+ *
+ *   #/projects/comic/volkov        → scroll to the Comic carousel, show Volkov
+ *   #/projects/comic/volkov/view   → same, and open it in the lightbox
+ *
+ * Plain section anchors (#about, #contact) keep their normal behavior.
+ *
+ * 📐 THE FLOW:
+ * 1. On load, the current hash is applied once the cards exist
+ * 2. Opening/browsing the lightbox writes the matching route to the URL
+ * 3. Back/forward fire `popstate`, and the route is applied again
+ */
+class ProjectRouter {
+  static PREFIX = "#/projects/";
+
+  /**
+   * Parse a location hash into a route.
+   *
+   * @param {string} hash - e.g. "#/projects/comic/volkov/view"
+   * @returns {{category: string, slug: string|null, view: boolean}|null}
+   *   null when the hash is not a project route (or cannot be decoded)
+   */
+  static parse(hash) {
+    if (!hash.startsWith(ProjectRouter.PREFIX)) return null;
+
+    let parts;
+    try {
+      parts = hash
+        .slice(ProjectRouter.PREFIX.length)
+        .split("/")
+        .filter(Boolean)
+        .map(decodeURIComponent);
+    } catch {
+      return null; // Malformed %xx: not a route we can follow
+    }
+
+    const [category, slug = null, mode] = parts;
+
+    if (!category) return null;
+    return { category, slug, view: mode === "view" };
+  }
+
+  /**
+   * Build the hash for a project.
+   *
+   * @param {string} category
+   * @param {string} slug
+   * @param {object} [options]
+   * @param {boolean} [options.view=false] - Also open the lightbox
+   * @returns {string}
+   */
+  static toHash(category, slug, { view = false } = {}) {
+    const path = [category, slug].map(encodeURIComponent).join("/");
+    return `${ProjectRouter.PREFIX}${path}${view ? "/view" : ""}`;
+  }
+
+  /**
+   * @param {object} options
+   * @param {Lightbox|null} [options.lightbox] - Gallery to open on /view routes
+   * @param {ParentNode} [options.scope=document] - Where the cards live
+   */
+  constructor({ lightbox = null, scope = document } = {}) {
+    this.lightbox = lightbox;
+    this.scope = scope;
+    this.isApplying = false;
+    this.listeners = new AbortController();
+  }
+
+  /** Listen for history changes and apply the route in the current URL. */
+  start() {
+    const { signal } = this.listeners;
+
+    window.addEventListener("popstate", () => this.apply(location.hash), {
+      signal,
+    });
+
+    // Keep the URL in step with the lightbox
+    if (this.lightbox) {
+      this.lightbox.root.addEventListener(
+        "lightbox:show",
+        (e) => this.handleLightboxShow(e.detail.card),
+        { signal }
+      );
+      this.lightbox.root.addEventListener(
+        "lightbox:close",
+        (e) => this.handleLightboxClose(e.detail.card),
+        { signal }
+      );
+    }
+
+    this.apply(location.hash, { initial: true });
+  }
+
+  /**
+   * Find the card element for a category/slug pair.
+   *
+   * @returns {HTMLElement|null}
+   */
+  findCard(category, slug) {
+    return this.scope.querySelector(
+      `.project-carousel-card[data-category="${CSS.escape(
+        category
+      )}"][data-project="${CSS.escape(slug)}"]`
+    );
+  }
+
+  /**
+   * Bring the page into the state described by `hash`.
+   *
+   * @param {string} hash
+   * @param {object} [options]
+   * @param {boolean} [options.initial=false] - First load: no animations
+   */
+  apply(hash, { initial = false } = {}) {
+    const route = ProjectRouter.parse(hash);
+
+    this.isApplying = true;
+    try {
+      if (!route) {
+        // Back to a plain section anchor: the browser restores the scroll
+        this.lightbox?.close();
+        return;
+      }
+
+      const categoryEl = this.scope.querySelector(
+        `.projects-category[data-category="${CSS.escape(route.category)}"]`
+      );
+      if (!categoryEl) {
+        console.warn(`⚠️ Unknown project category "${route.category}"`);
+        return;
+      }
+
+      const card = route.slug && this.findCard(route.category, route.slug);
+      if (route.slug && !card) {
+        console.warn(`⚠️ Unknown project "${route.category}/${route.slug}"`);
+      }
+
+      // Hidden while the project filter shows its result list instead
+      if (!categoryEl.closest("[hidden]")) {
+        this.scrollTo(categoryEl, initial ? "auto" : "smooth");
+      }
+
+      if (card) {
+        const carousel = Carousel.getInstance(
+          card.closest(".projects-carousel")
+        );
+        const index = carousel ? carousel.cards.indexOf(card) : -1;
+        if (index !== -1) carousel.showCard(index, { animate: !initial });
+      }
+
+      if (card && route.view) {
+        this.lightbox?.open(card, {
+          trigger: card.querySelector(".project-carousel-open"),
+        });
+      } else {
+        this.lightbox?.close();
+      }
+    } finally {
+      this.isApplying = false;
+    }
+  }
+
+  /** Scroll so the element sits just below the fixed navigation. */
+  scrollTo(el, behavior) {
+    const navHeight = document.querySelector(".nav")?.offsetHeight || 0;
+    window.scrollTo({
+      top: el.getBoundingClientRect().top + window.scrollY - navHeight,
+      behavior,
+    });
+  }
+
+  handleLightboxShow(card) {
+    if (this.isApplying) return;
+
+    const { category, project } = card.dataset;
+    const hash = ProjectRouter.toHash(category, project, { view: true });
+    if (hash === location.hash) return;
+
+    // Opening adds a history entry (so Back closes the dialog);
+    // browsing inside the open dialog only replaces it
+    const isBrowsing = ProjectRouter.parse(location.hash)?.view;
+    history[isBrowsing ? "replaceState" : "pushState"](null, "", hash);
+  }
+
+  handleLightboxClose(card) {
+    if (this.isApplying || !card) return;
+
+    history.replaceState(
+      null,
+      "",
+      ProjectRouter.toHash(card.dataset.category, card.dataset.project)
+    );
+  }
+
+  destroy() {
+    this.listeners.abort();
+  }
+}
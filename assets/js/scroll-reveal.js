@@ -0,0 +1,339 @@
+// ==========================================================================
+// SCROLL REVEAL AND PARALLAX
+// ==========================================================================
+
+/**
+ * Reveals elements as they scroll into view, and moves `data-parallax`
+ * elements at their own speed.
+ *
+ * 🎓 THE CSS + JAVASCRIPT PARTNERSHIP:
+ * IntersectionObserver tells us WHEN an element enters the viewport; we
+ * only add a class (`.visible`, or `.revealed` on stagger containers).
+ * CSS decides HOW it looks (see reveal.css). The data attributes below are
+ * turned into CSS custom properties, so every element can differ without
+ * a single extra CSS rule.
+ *
+ * 📐 DATA ATTRIBUTES (on an `.animate-on-scroll` element or a
+ * `[data-reveal-stagger]` container; all optional):
+ * - data-reveal="slide-up"        → effect: fade, slide-up (default),
+ *                                   slide-left, slide-right, scale, blur
+ *                                   (slide-left moves TO the left)
+ * - data-reveal-delay="200"       → ms before the reveal starts
+ * - data-reveal-duration="800"    → ms the reveal takes
+ * - data-reveal-threshold="0.5"   → share of the element (0–1) that must
+ *                                   be visible first (default 0.1)
+ * - data-reveal-stagger="80"      → on containers: ms between children
+ *                                   (default 100, the attribute alone works)
+ * - data-reveal-replay            → hide again when the element leaves the
+ *                                   viewport, reveal again when it returns
+ *
+ * - data-parallax="0.2"           → speed factor on ANY element: 0.2 moves
+ *                                   20% slower than the page (a background
+ *                                   feel), negative values move faster
+ *
+ * ♿ REDUCED MOTION:
+ * Under prefers-reduced-motion everything is shown at once, nothing is
+ * observed and parallax stays off, also when the setting changes while the
+ * page is open.
+ */
+class ScrollReveal {
+  static SELECTOR = ".animate-on-scroll, [data-reveal-stagger]";
+  static EFFECTS = [
+    "fade",
+    "slide-up",
+    "slide-left",
+    "slide-right",
+    "scale",
+    "blur",
+  ];
+
+  /**
+   * 📐 UNDERSTANDING THE OBSERVER OPTIONS:
+   *
+   * rootMargin: Expands or shrinks the viewport's bounding box.
+   *       - Format: "top right bottom left" (like CSS margin)
+   *       - "0px 0px -10% 0px" means: trigger when element is 10% INTO the
+   *         viewport (not at the very edge, which feels more natural)
+   *
+   * threshold: What share of the element must be visible to trigger.
+   *       - 0 = as soon as 1 pixel is visible
+   *       - 0.1 = when 10% is visible
+   *       - 1.0 = only when 100% visible
+   */
+  static defaults = {
+    rootMargin: "0px 0px -10% 0px",
+    threshold: 0.1,
+    stagger: 100,
+  };
+
+  /** Stagger delays stop growing after this many children (~1 s). */
+  static MAX_STAGGER_STEPS = 10;
+
+  /**
+   * Read the options of one element from its data attributes.
+   *
+   * @param {HTMLElement} el
+   * @returns {{effect: string|null, delay: number|null,
+   *   duration: number|null, threshold: number, stagger: number|null,
+   *   replay: boolean}}
+   */
+  static readOptions(el) {
+    const { dataset } = el;
+    const ms = (value) =>
+      value !== undefined && value !== "" && Number(value) >= 0
+        ? Number(value)
+        : null;
+
+    let effect = dataset.reveal || null;
+    if (effect && !ScrollReveal.EFFECTS.includes(effect)) {
+      console.warn(`⚠️ ScrollReveal: unknown effect "${effect}"`);
+      effect = null;
+    }
+
+    const threshold = Number(dataset.revealThreshold);
+    return {
+      effect,
+      delay: ms(dataset.revealDelay),
+      duration: ms(dataset.revealDuration),
+      threshold:
+        dataset.revealThreshold && threshold >= 0 && threshold <= 1
+          ? threshold
+          : ScrollReveal.defaults.threshold,
+      stagger:
+        dataset.revealStagger === undefined
+          ? null
+          : ms(dataset.revealStagger) ?? ScrollReveal.defaults.stagger,
+      replay: dataset.revealReplay !== undefined,
+    };
+  }
+
+  /**
+   * @param {ParentNode} [root=document] - Where to look for elements
+   */
+  constructor(root = document) {
+    this.root = root;
+    this.reducedMotion = window.matchMedia("(prefers-reduced-motion: reduce)");
+
+    // 🎯 One observer per threshold: the threshold is an observer option,
+    // not a per-element one
+    this.observers = new Map(); // threshold → IntersectionObserver
+    this.observed = new Set();
+
+    this.parallaxItems = new Map(); // element → { speed, offset }
+    this.parallaxVisible = new Set();
+    this.parallaxObserver = null;
+    this.frame = null;
+
+    this.listeners = new AbortController();
+    this.bindEvents();
+
+    root.querySelectorAll(ScrollReveal.SELECTOR).forEach((el) => {
+      this.observe(el);
+    });
+    root.querySelectorAll("[data-parallax]").forEach((el) => {
+      this.addParallax(el);
+    });
+  }
+
+  bindEvents() {
+    const { signal } = this.listeners;
+
+    // Reduced motion switched on while the page is open: show everything
+    this.reducedMotion.addEventListener(
+      "change",
+      () => {
+        if (!this.reducedMotion.matches) return;
+        this.observed.forEach((el) => this.show(el));
+        this.observers.forEach((observer) => observer.disconnect());
+        this.observers.clear();
+        this.stopParallax();
+      },
+      { signal }
+    );
+
+    const schedule = () => this.scheduleParallax();
+    window.addEventListener("scroll", schedule, { passive: true, signal });
+    window.addEventListener("resize", schedule, { passive: true, signal });
+  }
+
+  /**
+   * Start watching one element (also for content rendered later, such as
+   * the project grids).
+   *
+   * @param {HTMLElement} el - `.animate-on-scroll` or `[data-reveal-stagger]`
+   */
+  observe(el) {
+    const options = ScrollReveal.readOptions(el);
+    this.configure(el, options);
+    this.observed.add(el);
+
+    /**
+     * GRACEFUL DEGRADATION FOR REDUCED MOTION
+     *
+     * Instead of animations, we immediately show all content.
+     * Users get the same information, just without the motion.
+     */
+    if (this.reducedMotion.matches) {
+      this.show(el);
+      return;
+    }
+
+    this.getObserver(options.threshold).observe(el);
+  }
+
+  /** Data attributes → custom properties read by reveal.css. */
+  configure(el, { delay, duration, stagger }) {
+    if (delay !== null) el.style.setProperty("--reveal-delay", `${delay}ms`);
+    if (duration !== null) {
+      el.style.setProperty("--reveal-duration", `${duration}ms`);
+    }
+
+    if (!el.hasAttribute("data-reveal-stagger")) return;
+    if (stagger !== null) el.style.setProperty("--reveal-step", `${stagger}ms`);
+
+    // Each child carries its position, so the cascade works for any number
+    // of children (not just the ones an :nth-child rule was written for)
+    Array.from(el.children).forEach((child, index) => {
+      child.style.setProperty(
+        "--reveal-index",
+        String(Math.min(index + 1, ScrollReveal.MAX_STAGGER_STEPS))
+      );
+    });
+  }
+
+  getObserver(threshold) {
+    if (!this.observers.has(threshold)) {
+      this.observers.set(
+        threshold,
+        new IntersectionObserver(
+          (entries, observer) => {
+            this.handleEntries(entries, observer);
+          },
+          { rootMargin: ScrollReveal.defaults.rootMargin, threshold }
+        )
+      );
+    }
+    return this.observers.get(threshold);
+  }
+
+  /**
+   * @param {IntersectionObserverEntry[]} entries
+   * @param {IntersectionObserver} observer
+   */
+  handleEntries(entries, observer) {
+    entries.forEach((entry) => {
+      const el = entry.target;
+      const replay = el.dataset.revealReplay !== undefined;
+
+      if (entry.isIntersecting) {
+        this.show(el);
+
+        // 🎯 PERFORMANCE: once revealed, stop watching (unless it replays)
+        if (!replay) {
+          observer.unobserve(el);
+          this.observed.delete(el);
+        }
+      } else if (replay) {
+        this.hide(el);
+      }
+    });
+  }
+
+  /** `.revealed` on stagger containers, `.visible` on single elements. */
+  static stateClass(el) {
+    return el.hasAttribute("data-reveal-stagger") ? "revealed" : "visible";
+  }
+
+  show(el) {
+    el.classList.add(ScrollReveal.stateClass(el));
+  }
+
+  hide(el) {
+    el.classList.remove(ScrollReveal.stateClass(el));
+  }
+
+  // --------------------------------------------------------------------------
+  // Parallax
+  // --------------------------------------------------------------------------
+
+  /**
+   * @param {HTMLElement} el - An element with `data-parallax="<speed>"`
+   */
+  addParallax(el) {
+    const speed = Number(el.dataset.parallax);
+    if (!Number.isFinite(speed) || el.dataset.parallax === "") {
+      console.warn(
+        `⚠️ ScrollReveal: invalid data-parallax "${el.dataset.parallax}"`
+      );
+      return;
+    }
+    if (this.reducedMotion.matches || speed === 0) return;
+
+    // Only elements near the viewport are measured on scroll
+    this.parallaxObserver ??= new IntersectionObserver(
+      (entries) => {
+        entries.forEach((entry) => {
+          if (entry.isIntersecting) this.parallaxVisible.add(entry.target);
+          else this.parallaxVisible.delete(entry.target);
+        });
+        this.scheduleParallax();
+      },
+      { rootMargin: "100px 0px" }
+    );
+
+    this.parallaxItems.set(el, { speed, offset: 0 });
+    this.parallaxObserver.observe(el);
+  }
+
+  /** At most one update per frame, however often scroll fires. */
+  scheduleParallax() {
+    if (this.frame || this.parallaxVisible.size === 0) return;
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.updateParallax();
+    });
+  }
+
+  /**
+   * Shift each visible element by its distance from the middle of the
+   * viewport times its speed.
+   *
+   * ⚠️ The measured position already includes our own shift, so it is
+   * subtracted first (otherwise each frame would build on the last).
+   */
+  updateParallax() {
+    const middle = window.innerHeight / 2;
+
+    this.parallaxVisible.forEach((el) => {
+      const item = this.parallaxItems.get(el);
+      const rect = el.getBoundingClientRect();
+      const distance = rect.top + rect.height / 2 - item.offset - middle;
+
+      item.offset = Math.round(-distance * item.speed * 10) / 10;
+      el.style.setProperty("--parallax-y", `${item.offset}px`);
+    });
+  }
+
+  stopParallax() {
+    cancelAnimationFrame(this.frame);
+    this.frame = null;
+    this.parallaxObserver?.disconnect();
+    this.parallaxObserver = null;
+    this.parallaxItems.forEach((item, el) => {
+      el.style.removeProperty("--parallax-y");
+    });
+    this.parallaxItems.clear();
+    this.parallaxVisible.clear();
+  }
+
+  /**
+   * Stop observing and listening. Revealed content stays visible.
+   */
+  destroy() {
+    this.listeners.abort();
+    this.observers.forEach((observer) => observer.disconnect());
+    this.observers.clear();
+    this.observed.clear();
+    this.stopParallax();
+  }
+}
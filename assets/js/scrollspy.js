@@ -0,0 +1,287 @@
+// ==========================================================================
+// SCROLLSPY AND READING PROGRESS
+// ==========================================================================
+
+/**
+ * Knows which section the reader is in, and shows it.
+ *
+ * 🎓 WHAT THIS DOES:
+ * - Highlights the nav link of the current section (`.active`) and marks
+ *   it with aria-current="location", so screen readers say "current
+ *   location" too
+ * - Keeps the URL hash in step while scrolling (#about, #projects…), with
+ *   history.replaceState: no history entry per section, no jump
+ * - Fires portfolio:section-view (see events.js) for each new section
+ * - Optionally fills a reading-progress bar split into one segment per
+ *   section, with the current one highlighted
+ *
+ * 📐 HOW A SECTION BECOMES "CURRENT":
+ * The current section is the last one whose top has passed an activation
+ * line 40% down the visible area (below the fixed nav). One exception:
+ * at the very bottom of the page the LAST section wins, because a short
+ * final section (#contact) can never scroll up to that line.
+ *
+ * 🎓 WHY MEASURE ON SCROLL INSTEAD OF AN INTERSECTIONOBSERVER?
+ * An observer only reports crossings of a fixed band, so "the page cannot
+ * scroll any further" is invisible to it. Measuring a handful of sections
+ * once per animation frame is cheap and has no such blind spot.
+ *
+ * 📐 PROGRESS BAR MARKUP (optional):
+ *   <div class="scroll-progress" role="progressbar" aria-label="…">
+ *     <div class="scroll-progress-sections"></div>
+ *     <div class="scroll-progress-fill"></div>
+ *   </div>
+ *
+ * Section names come from the section's aria-label, its nav link, or its
+ * first heading, in that order.
+ */
+class Scrollspy {
+  /** Activation line, as a share of the viewport below the nav. */
+  static ACTIVATION_LINE = 0.4;
+
+  /** "At the bottom" allows for sub-pixel rounding. */
+  static BOTTOM_TOLERANCE = 4;
+
+  /** Smallest progress segment, as a share of the bar. */
+  static MIN_SEGMENT = 0.03;
+
+  /**
+   * @param {ParentNode} [root=document] - Where the sections and nav are
+   * @param {object} [options]
+   * @param {HTMLElement|null} [options.progress] - The `.scroll-progress` bar
+   * @param {boolean} [options.updateHash=true] - Sync the URL hash
+   */
+  constructor(root = document, { progress = null, updateHash = true } = {}) {
+    this.sections = Array.from(root.querySelectorAll("section[id]"));
+    this.links = Array.from(root.querySelectorAll(".nav-links a[href^='#']"));
+    this.nav = document.querySelector(".nav");
+    this.progress = progress;
+    this.updateHash = updateHash;
+
+    this.current = null;
+    this.frame = null;
+    this.listeners = new AbortController();
+
+    if (progress) {
+      this.progressFill = progress.querySelector(".scroll-progress-fill");
+      this.progressSections = progress.querySelector(
+        ".scroll-progress-sections"
+      );
+      progress.setAttribute("aria-valuemin", "0");
+      progress.setAttribute("aria-valuemax", "100");
+      progress.hidden = false;
+    }
+
+    this.bindEvents();
+    this.measure();
+  }
+
+  bindEvents() {
+    const { signal } = this.listeners;
+    const schedule = () => this.schedule();
+
+    window.addEventListener("scroll", schedule, { passive: true, signal });
+    window.addEventListener("resize", () => this.measure(), {
+      passive: true,
+      signal,
+    });
+
+    // Content that loads later (project cards, images) moves every section
+    // below it: measure again whenever the page changes height
+    if ("ResizeObserver" in window) {
+      this.resizeObserver = new ResizeObserver(() => this.measure());
+      this.resizeObserver.observe(document.body);
+    }
+
+    // Section names follow the page language
+    document.addEventListener("i18n:change", () => this.measure(), {
+      signal,
+    });
+  }
+
+  /** At most one update per frame, however often scroll fires. */
+  schedule() {
+    if (this.frame) return;
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.update();
+    });
+  }
+
+  /** px from the top of the viewport to the activation line. */
+  getActivationLine() {
+    const navHeight = this.nav?.offsetHeight || 0;
+    return (
+      navHeight + (window.innerHeight - navHeight) * Scrollspy.ACTIVATION_LINE
+    );
+  }
+
+  /** How far the page can scroll, in px. */
+  getMaxScroll() {
+    return Math.max(
+      document.documentElement.scrollHeight - window.innerHeight,
+      0
+    );
+  }
+
+  /**
+   * @param {HTMLElement} section
+   * @returns {string}
+   */
+  getName(section) {
+    const link = this.getLink(section);
+    const heading = section.querySelector("h1, h2");
+    return (
+      section.getAttribute("aria-label") ||
+      link?.textContent ||
+      heading?.textContent ||
+      section.id
+    )
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  getLink(section) {
+    return this.links.find(
+      (link) => link.getAttribute("href") === `#${section.id}`
+    );
+  }
+
+  /**
+   * Rebuild the progress segments (their sizes depend on the layout), then
+   * update everything else.
+   */
+  measure() {
+    if (this.progressSections) {
+      const max = this.getMaxScroll();
+      const line = this.getActivationLine();
+
+      // Each segment starts at the scroll position where its section
+      // becomes current, so the fill enters it at the same moment.
+      // ⚠️ A short last section only becomes current at the very bottom:
+      // the trailing segments keep a minimum width so they stay visible
+      const count = this.sections.length;
+      const starts = this.sections.map((section, index) => {
+        if (index === 0 || max === 0) return 0;
+        const top = section.getBoundingClientRect().top + window.scrollY;
+        const latest = 1 - (count - index) * Scrollspy.MIN_SEGMENT;
+        return Math.min(Math.max((top - line) / max, 0), latest);
+      });
+
+      this.progressSections.replaceChildren(
+        ...this.sections.map((section, index) => {
+          const segment = document.createElement("span");
+          const end = starts[index + 1] ?? 1;
+          segment.className = "scroll-progress-section";
+          segment.dataset.section = section.id;
+          segment.title = this.getName(section);
+          segment.style.left = `${starts[index] * 100}%`;
+          segment.style.width = `${Math.max(end - starts[index], 0) * 100}%`;
+          return segment;
+        })
+      );
+    }
+
+    this.update();
+  }
+
+  /** Work out the current section and reflect it everywhere. */
+  update() {
+    const line = this.getActivationLine();
+    const atBottom =
+      window.scrollY > 0 &&
+      window.scrollY >= this.getMaxScroll() - Scrollspy.BOTTOM_TOLERANCE;
+
+    const current = atBottom
+      ? this.sections[this.sections.length - 1]
+      : this.sections
+          .filter((section) => section.getBoundingClientRect().top <= line)
+          .pop() || this.sections[0];
+
+    this.updateProgress(current);
+    if (!current || current === this.current) return;
+
+    const isFirstUpdate = this.current === null;
+    this.current = current;
+    this.updateLinks(current);
+
+    // On load the visitor has not scrolled anywhere yet: keep their URL
+    if (this.updateHash && !isFirstUpdate) this.writeHash(current);
+    emitPortfolioEvent(current, PORTFOLIO_EVENTS.SECTION_VIEW, {
+      section: current.id,
+      title: this.getName(current),
+    });
+  }
+
+  updateLinks(current) {
+    this.links.forEach((link) => {
+      const isCurrent = link.getAttribute("href") === `#${current.id}`;
+      link.classList.toggle("active", isCurrent);
+      if (isCurrent) link.setAttribute("aria-current", "location");
+      else link.removeAttribute("aria-current");
+    });
+  }
+
+  updateProgress(current) {
+    if (!this.progress) return;
+
+    const max = this.getMaxScroll();
+    const ratio = max ? Math.min(Math.max(window.scrollY / max, 0), 1) : 1;
+    const percent = Math.round(ratio * 100);
+
+    this.progressFill?.style.setProperty("--progress", ratio.toFixed(4));
+    this.progress.setAttribute("aria-valuenow", String(percent));
+    this.progress.setAttribute(
+      "aria-valuetext",
+      t("progress.value", "{percent}% read, {section}", {
+        percent,
+        section: current ? this.getName(current) : "",
+      })
+    );
+    this.progressSections
+      ?.querySelectorAll(".scroll-progress-section")
+      .forEach((segment) => {
+        segment.classList.toggle(
+          "is-current",
+          segment.dataset.section === current?.id
+        );
+      });
+  }
+
+  /**
+   * #about, #projects… for the current section; no hash at all for the
+   * first one (the top of the page).
+   *
+   * ⚠️ Project deep links (#/projects/comic/volkov, see router.js) are
+   * kept while the reader is still inside that section.
+   */
+  writeHash(section) {
+    const { hash } = location;
+    if (hash.startsWith(`#/${section.id}`)) return;
+
+    const target = section === this.sections[0] ? "" : `#${section.id}`;
+    if (hash === target) return;
+
+    history.replaceState(
+      history.state,
+      "",
+      `${location.pathname}${location.search}${target}`
+    );
+  }
+
+  destroy() {
+    this.listeners.abort();
+    this.resizeObserver?.disconnect();
+    cancelAnimationFrame(this.frame);
+    this.frame = null;
+
+    this.links.forEach((link) => {
+      link.classList.remove("active");
+      link.removeAttribute("aria-current");
+    });
+    if (this.progress) {
+      this.progress.hidden = true;
+      this.progressSections?.replaceChildren();
+    }
+  }
+}
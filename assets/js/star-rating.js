@@ -0,0 +1,128 @@
+// ==========================================================================
+// STAR RATING
+// ==========================================================================
+
+/**
+ * Renders a row of stars from a number.
+ *
+ * 🎓 WHAT THIS DOES:
+ * - Builds `data-max` stars and fills them up to `data-rating`, including
+ *   halves and any other fraction (3.7 → three full stars, one 70% star)
+ * - Gives the row a text alternative ("4.5 out of 5"), in the page language
+ * - The fill animates in when the row is revealed by the scroll observer
+ *   (an `.animate-on-scroll` or `[data-reveal-stagger]` ancestor, see
+ *   scroll-reveal.js); rows outside those are filled straight away
+ *
+ * 📐 MARKUP:
+ *   <div class="star-rating" data-rating="4.5" data-max="5"></div>
+ *
+ * 📐 HOW A FRACTION IS DRAWN:
+ * Every star is two copies of the same SVG on top of each other: a faint
+ * one, and a bright one inside `.rating-star-fill`, whose width is the
+ * star's fill (`--fill`, 0–1). Overflow is hidden, so a 50% wide fill shows
+ * exactly the left half of the bright star.
+ */
+class StarRating {
+  static DEFAULT_MAX = 5;
+
+  static VIEWBOX = "0 0 185.47 245.47";
+  static PATH =
+    "M92.74,245.47s-8.55-83.99-28.03-103.48S0,115.73,0,115.73c0,0,45.34-3.16,64.82-22.65C83.52,74.38,92.74,0,92.74,0c0,0,13.42,74.95,31.24,92.77,20.36,20.36,61.49,22.96,61.49,22.96,0,0-43.95,8.54-61.68,26.26-20.46,20.46-31.06,103.48-31.06,103.48Z";
+
+  /**
+   * Start a StarRating on every `.star-rating[data-rating]` in `root`.
+   *
+   * @param {ParentNode} [root=document]
+   * @returns {StarRating[]}
+   */
+  static initAll(root = document) {
+    return Array.from(
+      root.querySelectorAll(".star-rating[data-rating]"),
+      (el) => new StarRating(el)
+    );
+  }
+
+  /**
+   * @param {HTMLElement} el - A `.star-rating` element
+   */
+  constructor(el) {
+    this.el = el;
+    this.max = Math.max(
+      1,
+      Math.round(Number(el.dataset.max) || StarRating.DEFAULT_MAX)
+    );
+
+    const rating = Number(el.dataset.rating);
+    if (Number.isNaN(rating)) {
+      console.warn(`⚠️ StarRating: invalid data-rating "${el.dataset.rating}"`);
+    }
+    this.rating = Math.min(Math.max(rating || 0, 0), this.max);
+    this.listeners = new AbortController();
+
+    this.render();
+    this.updateLabel();
+
+    // Nothing will reveal it, so show the fill at once
+    if (!el.closest(".animate-on-scroll, [data-reveal-stagger]")) {
+      el.classList.add("is-static");
+    }
+
+    document.addEventListener("i18n:change", () => this.updateLabel(), {
+      signal: this.listeners.signal,
+    });
+  }
+
+  /** @returns {SVGSVGElement} one star shape */
+  createStar() {
+    const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+    svg.setAttribute("viewBox", StarRating.VIEWBOX);
+    svg.setAttribute("aria-hidden", "true");
+    svg.setAttribute("focusable", "false");
+
+    const path = document.createElementNS("http://www.w3.org/2000/svg", "path");
+    path.setAttribute("d", StarRating.PATH);
+    path.setAttribute("fill", "currentColor");
+    svg.append(path);
+    return svg;
+  }
+
+  render() {
+    const stars = [];
+    for (let i = 0; i < this.max; i++) {
+      // 4.5 → 1, 1, 1, 1, 0.5 (rounded: 3.7 - 3 is 0.7000000000000002)
+      const fill =
+        Math.round(Math.min(Math.max(this.rating - i, 0), 1) * 1000) / 1000;
+
+      const star = document.createElement("span");
+      star.className = "rating-star";
+      star.style.setProperty("--fill", String(fill));
+      star.style.setProperty("--star-index", String(i));
+
+      const fillLayer = document.createElement("span");
+      fillLayer.className = "rating-star-fill";
+      fillLayer.append(this.createStar());
+
+      star.append(this.createStar(), fillLayer);
+      stars.push(star);
+    }
+
+    this.el.replaceChildren(...stars);
+  }
+
+  /** ♿ The stars are decorative; this label is what gets announced. */
+  updateLabel() {
+    const locale = document.documentElement.lang || undefined;
+    this.el.setAttribute("role", "img");
+    this.el.setAttribute(
+      "aria-label",
+      t("skills.rating", "{rating} out of {max}", {
+        rating: this.rating.toLocaleString(locale),
+        max: this.max.toLocaleString(locale),
+      })
+    );
+  }
+
+  destroy() {
+    this.listeners.abort();
+  }
+}
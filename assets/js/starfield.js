@@ -0,0 +1,168 @@
+// ==========================================================================
+// STARFIELD (404 / OFFLINE BACKGROUND)
+// ==========================================================================
+
+/**
+ * A canvas of twinkling stars behind the error pages, drifting gently
+ * with the pointer (nearer stars move more: parallax) and brightening
+ * around it.
+ *
+ * 🎓 WHY A CANVAS?
+ * The 24 hand-placed `.spark` elements it replaces each needed their own
+ * CSS position. One canvas draws hundreds of stars, fills any screen size
+ * and costs a single element. Drawing stops while the tab is hidden.
+ *
+ * ♿ Under `prefers-reduced-motion: reduce` the stars are drawn once and
+ * stay still: no twinkling, no parallax.
+ *
+ * 📐 EXPECTED MARKUP: <canvas class="starfield" aria-hidden="true">
+ */
+class Starfield {
+  /** Stars per CSS pixel of area (about 250 on a 1000×1000 screen). */
+  static DENSITY = 1 / 4000;
+  static MAX_STARS = 500;
+
+  /** How far (px) the nearest stars shift when the pointer is at an edge. */
+  static PARALLAX = 24;
+
+  /** Radius (px) around the pointer in which stars brighten. */
+  static GLOW_RADIUS = 140;
+
+  /** @param {HTMLCanvasElement} canvas */
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.context = canvas.getContext("2d");
+    this.reducedMotion = window.matchMedia("(prefers-reduced-motion: reduce)");
+
+    this.stars = [];
+    this.width = 0;
+    this.height = 0;
+    this.frame = null;
+    // Pointer position in -1…1 (0 = centre); `current` eases towards it
+    this.pointer = { x: 0, y: 0, clientX: -Infinity, clientY: -Infinity };
+    this.current = { x: 0, y: 0 };
+
+    // 🎯 One AbortController removes every listener in destroy()
+    this.listeners = new AbortController();
+
+    if (!this.context) return; // Canvas unsupported: the CSS layers remain
+    this.bindEvents();
+    this.resize();
+    this.start();
+  }
+
+  get isAnimated() {
+    return !this.reducedMotion.matches && !document.hidden;
+  }
+
+  bindEvents() {
+    const { signal } = this.listeners;
+
+    window.addEventListener("resize", () => this.resize(), { signal });
+
+    // The canvas ignores the pointer (the links above must stay clickable):
+    // follow it on the window instead
+    window.addEventListener(
+      "pointermove",
+      (e) => {
+        this.pointer.x = (e.clientX / window.innerWidth) * 2 - 1;
+        this.pointer.y = (e.clientY / window.innerHeight) * 2 - 1;
+        this.pointer.clientX = e.clientX;
+        this.pointer.clientY = e.clientY;
+      },
+      { signal }
+    );
+
+    document.addEventListener("visibilitychange", () => this.start(), {
+      signal,
+    });
+    this.reducedMotion.addEventListener("change", () => this.start(), {
+      signal,
+    });
+  }
+
+  /** Match the canvas to its box (sharp on high-DPI screens), new stars. */
+  resize() {
+    const ratio = window.devicePixelRatio || 1;
+    this.width = this.canvas.clientWidth;
+    this.height = this.canvas.clientHeight;
+    this.canvas.width = Math.round(this.width * ratio);
+    this.canvas.height = Math.round(this.height * ratio);
+    this.context.setTransform(ratio, 0, 0, ratio, 0, 0);
+
+    const count = Math.min(
+      Math.round(this.width * this.height * Starfield.DENSITY),
+      Starfield.MAX_STARS
+    );
+    this.stars = Array.from({ length: count }, () => ({
+      x: Math.random(),
+      y: Math.random(),
+      depth: 0.2 + Math.random() * 0.8, // 1 = nearest: bigger, moves most
+      phase: Math.random() * Math.PI * 2,
+      speed: 0.0005 + Math.random() * 0.0015,
+    }));
+
+    if (!this.frame) this.draw(0);
+  }
+
+  /** Animate when allowed, otherwise draw one still frame. */
+  start() {
+    cancelAnimationFrame(this.frame);
+    this.frame = null;
+
+    if (!this.isAnimated) {
+      this.current = { x: 0, y: 0 };
+      this.draw(0);
+      return;
+    }
+
+    const loop = (time) => {
+      this.draw(time);
+      this.frame = requestAnimationFrame(loop);
+    };
+    this.frame = requestAnimationFrame(loop);
+  }
+
+  /** @param {number} time - From requestAnimationFrame (0 = still) */
+  draw(time) {
+    const { context, width, height, pointer, current } = this;
+    const animated = time > 0;
+
+    // Ease towards the pointer so the parallax glides instead of jumping
+    if (animated) {
+      current.x += (pointer.x - current.x) * 0.05;
+      current.y += (pointer.y - current.y) * 0.05;
+    }
+
+    context.clearRect(0, 0, width, height);
+    context.fillStyle = "#ffffff";
+
+    this.stars.forEach((star) => {
+      const shift = Starfield.PARALLAX * star.depth;
+      const x = star.x * width - current.x * shift;
+      const y = star.y * height - current.y * shift;
+
+      let alpha = 0.25 + star.depth * 0.55;
+      if (animated) {
+        alpha *= 0.65 + 0.35 * Math.sin(time * star.speed + star.phase);
+
+        const distance = Math.hypot(x - pointer.clientX, y - pointer.clientY);
+        if (distance < Starfield.GLOW_RADIUS) {
+          alpha += (1 - distance / Starfield.GLOW_RADIUS) * 0.5;
+        }
+      }
+
+      context.globalAlpha = Math.min(alpha, 1);
+      context.beginPath();
+      context.arc(x, y, 0.4 + star.depth * 1.1, 0, Math.PI * 2);
+      context.fill();
+    });
+    context.globalAlpha = 1;
+  }
+
+  destroy() {
+    this.listeners.abort();
+    cancelAnimationFrame(this.frame);
+    this.frame = null;
+  }
+}
@@ -0,0 +1,220 @@
+// ==========================================================================
+// THEME ENGINE
+// ==========================================================================
+
+/**
+ * Light/dark/system theme plus named colour palettes.
+ *
+ * 🎓 WHAT THIS DOES:
+ * - Three-way setting: "light", "dark" or "system" (follows the OS)
+ * - Reacts live when the OS switches between light and dark
+ * - Optional named palettes ("midnight", "paper", "sunset", …) defined as
+ *   CSS-variable sets in theme.css
+ * - Syncs open tabs through the `storage` event
+ *
+ * 📐 HOW IT WORKS:
+ * The theme is applied to <html>, NOT <body>:
+ *   <html class="light-mode" data-theme-mode="system" data-palette="sunset">
+ * A tiny inline script in <head> applies the saved choice before the first
+ * paint (no flash of the wrong theme). This class takes over once the page
+ * has loaded and keeps everything in sync afterwards.
+ *
+ * 📐 EVENTS: `portfolio:theme-change` on <html> whenever what shows changes
+ * (see events.js).
+ *
+ * ⚠️ Keep the inline script in index.html in step with `resolve()` below.
+ */
+class ThemeEngine {
+  static MODES = ["dark", "light", "system"];
+  static STORAGE_KEYS = { mode: "theme", palette: "palette" };
+  static DEFAULT_PALETTE = "default";
+
+  constructor() {
+    this.root = document.documentElement;
+    this.systemLight = window.matchMedia("(prefers-color-scheme: light)");
+    this.listeners = new AbortController();
+    // What apply() last showed, to tell real changes apart
+    this.applied = null;
+
+    this.mode = this.read(ThemeEngine.STORAGE_KEYS.mode) || "system";
+    if (!ThemeEngine.MODES.includes(this.mode)) this.mode = "system";
+    this.palette =
+      this.read(ThemeEngine.STORAGE_KEYS.palette) ||
+      ThemeEngine.DEFAULT_PALETTE;
+
+    this.bindEvents();
+    this.apply();
+  }
+
+  /** Is the light theme showing right now? */
+  get isLight() {
+    return this.resolve(this.mode) === "light";
+  }
+
+  /**
+   * Turn a mode into the theme that should show.
+   *
+   * @param {"dark"|"light"|"system"} mode
+   * @returns {"dark"|"light"}
+   */
+  resolve(mode) {
+    if (mode !== "system") return mode;
+    return this.systemLight.matches ? "light" : "dark";
+  }
+
+  // localStorage can throw (private mode, disabled storage): fail quietly
+  read(key) {
+    try {
+      return localStorage.getItem(key);
+    } catch {
+      return null;
+    }
+  }
+
+  write(key, value) {
+    try {
+      localStorage.setItem(key, value);
+    } catch {
+      // Not persisted, but the theme still applies to this page
+    }
+  }
+
+  bindEvents() {
+    const { signal } = this.listeners;
+
+    // OS switched between light and dark
+    this.systemLight.addEventListener(
+      "change",
+      () => {
+        if (this.mode === "system") this.apply({ source: "system" });
+      },
+      { signal }
+    );
+
+    // Labels follow the page language
+    document.addEventListener("i18n:change", () => this.updateControls(), {
+      signal,
+    });
+
+    // Another tab changed the setting (the event never fires in the tab
+    // that made the change)
+    window.addEventListener(
+      "storage",
+      (e) => {
+        if (e.key === ThemeEngine.STORAGE_KEYS.mode) {
+          this.mode = ThemeEngine.MODES.includes(e.newValue)
+            ? e.newValue
+            : "system";
+          this.apply({ source: "sync" });
+        } else if (e.key === ThemeEngine.STORAGE_KEYS.palette) {
+          this.palette = e.newValue || ThemeEngine.DEFAULT_PALETTE;
+          this.apply({ source: "sync" });
+        }
+      },
+      { signal }
+    );
+  }
+
+  /**
+   * @param {"dark"|"light"|"system"} mode
+   */
+  setMode(mode) {
+    if (!ThemeEngine.MODES.includes(mode)) {
+      throw new Error(`Unknown theme mode "${mode}"`);
+    }
+    this.mode = mode;
+    this.write(ThemeEngine.STORAGE_KEYS.mode, mode);
+    this.apply();
+  }
+
+  /** dark → light → system → dark … */
+  cycleMode() {
+    const { MODES } = ThemeEngine;
+    this.setMode(MODES[(MODES.indexOf(this.mode) + 1) % MODES.length]);
+  }
+
+  /**
+   * @param {string} palette - A palette defined in theme.css, or "default"
+   */
+  setPalette(palette) {
+    this.palette = palette || ThemeEngine.DEFAULT_PALETTE;
+    this.write(ThemeEngine.STORAGE_KEYS.palette, this.palette);
+    this.apply();
+  }
+
+  /**
+   * Reflect the current mode and palette on <html> and the controls.
+   *
+   * @param {object} [options]
+   * @param {"user"|"system"|"sync"} [options.source="user"] - Why, for the
+   *   portfolio:theme-change event
+   */
+  apply({ source = "user" } = {}) {
+    this.root.classList.toggle("light-mode", this.isLight);
+    this.root.dataset.themeMode = this.mode;
+
+    if (this.palette === ThemeEngine.DEFAULT_PALETTE) {
+      delete this.root.dataset.palette;
+    } else {
+      this.root.dataset.palette = this.palette;
+    }
+
+    // Browser UI (mobile address bar) follows the page background
+    const themeColor = document.querySelector('meta[name="theme-color"]');
+    const background = getComputedStyle(document.body || this.root)
+      .getPropertyValue("--color-bg")
+      .trim();
+    if (themeColor && background) themeColor.content = background;
+
+    this.updateControls();
+
+    const previous = this.applied;
+    this.applied = {
+      mode: this.mode,
+      theme: this.resolve(this.mode),
+      palette: this.palette,
+    };
+    // The first apply() only restores the saved choice: not a change
+    if (
+      previous &&
+      Object.keys(previous).some((key) => previous[key] !== this.applied[key])
+    ) {
+      emitPortfolioEvent(this.root, PORTFOLIO_EVENTS.THEME_CHANGE, {
+        ...this.applied,
+        previous,
+        source,
+      });
+    }
+  }
+
+  /** @returns {string} the current mode, in the page language */
+  getModeLabel() {
+    return {
+      dark: t("theme.dark", "Dark"),
+      light: t("theme.light", "Light"),
+      system: this.isLight
+        ? t("theme.systemLight", "System (light)")
+        : t("theme.systemDark", "System (dark)"),
+    }[this.mode];
+  }
+
+  updateControls() {
+    const label = this.getModeLabel();
+
+    document.querySelectorAll(".theme-toggle").forEach((toggle) => {
+      toggle.setAttribute(
+        "aria-label",
+        t("theme.toggle", "Color theme: {label}. Change theme", { label })
+      );
+      toggle.title = t("theme.title", "Theme: {label}", { label });
+    });
+
+    document.querySelectorAll("[data-palette-select]").forEach((select) => {
+      select.value = this.palette;
+    });
+  }
+
+  destroy() {
+    this.listeners.abort();
+  }
+}
@@ -0,0 +1,401 @@
+// ==========================================================================
+// BUILD: dist/ FOR DEPLOYMENT
+// ==========================================================================
+
+/**
+ * Produces a deploy-ready copy of the site in dist/.
+ *
+ *   npm install
+ *   npm run build        (SITE_URL=https://example.com/ npm run build)
+ *
+ * 📐 WHAT IT DOES, IN ORDER:
+ * 1. Pre-renders the Projects section from assets/data/projects.json, so
+ *    the cards are in the HTML (faster first paint, readable without JS)
+ * 2. Checks the pages and FAILS with a list of problems for duplicate ids,
+ *    images without alt text, links to missing sections and missing files
+ * 3. Bundles and minifies the CSS, inlines the critical part (what the
+ *    first screen needs) and loads the rest without blocking rendering
+ * 4. Fingerprints CSS and JS file names and rewrites every reference,
+ *    including ES module imports and the service worker's precache list.
+ *    A page's "site-root" (404.html) becomes the path of SITE_URL
+ * 5. Writes sitemap.xml and robots.txt for SITE_URL (default: the
+ *    "homepage" in package.json)
+ *
+ * The source files are never modified: the site still works unbuilt, from
+ * any static server.
+ */
+
+import { existsSync } from "node:fs";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseHTML } from "linkedom";
+
+import {
+  bundleCss,
+  findImports,
+  fingerprint,
+  hash,
+  minifyCss,
+  rewriteImports,
+} from "./lib/assets.js";
+import {
+  findBrokenSectionLinks,
+  findDuplicateIds,
+  findMissingAlt,
+  findMissingFiles,
+} from "./lib/checks.js";
+import { prerenderProjects } from "./lib/prerender.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const DIST = path.join(ROOT, "dist");
+
+/** Pages to build. Only index.html goes into the sitemap. */
+const PAGES = ["index.html", "404.html", "offline.html"];
+
+/** Copied unchanged. */
+const STATIC_FILES = [
+  "manifest.json",
+  "assets/favicon",
+  "assets/i18n",
+  "assets/data",
+];
+
+/**
+ * Stylesheets inlined into <head>: enough to paint the navigation and the
+ * hero. Everything else (index.css in full) loads without blocking.
+ */
+const CRITICAL_CSS = [
+  "assets/css/reset.css",
+  "assets/css/theme.css",
+  "assets/css/base.css",
+  "assets/css/navigation.css",
+  "assets/css/layout.css",
+];
+
+/** The main stylesheet, whose non-critical part loads asynchronously. */
+const MAIN_CSS = "assets/css/index.css";
+
+/** A failed check: the build stops and prints every problem. */
+class BuildError extends Error {
+  constructor(problems) {
+    super(`${problems.length} problem(s) found`);
+    this.name = "BuildError";
+    this.problems = problems;
+  }
+}
+
+const isLocal = (url) => url && !/^([a-z]+:|\/\/|#|data:)/i.test(url);
+
+/** "./assets/css/index.css?v=2" → "assets/css/index.css" */
+const toFile = (url) =>
+  path.posix.normalize(decodeURIComponent(url.split(/[?#]/)[0]));
+
+/** `import … from "./main.js"` in assets/js → "assets/js/main.js" */
+const resolveImport = (dir, specifier) =>
+  /^\.\.?\//.test(specifier) ? toFile(path.posix.join(dir, specifier)) : null;
+
+/** Same import, pointed at the built file: "./main.3f9a1c2e.js" */
+const toSpecifier = (dir, file) => {
+  const relative = path.posix.relative(dir, file);
+  return relative.startsWith("../") ? relative : `./${relative}`;
+};
+
+async function readSiteUrl() {
+  const pkg = JSON.parse(
+    await fs.readFile(path.join(ROOT, "package.json"), "utf8")
+  );
+  const url = process.env.SITE_URL || pkg.homepage;
+  if (!url) {
+    throw new Error('Set SITE_URL or "homepage" in package.json');
+  }
+  return url.endsWith("/") ? url : `${url}/`;
+}
+
+// --------------------------------------------------------------------------
+// 1–2. Parse, pre-render and check
+// --------------------------------------------------------------------------
+
+async function loadPages(siteUrl) {
+  const pages = new Map();
+  let projects = null;
+
+  for (const page of PAGES) {
+    const html = await fs.readFile(path.join(ROOT, page), "utf8");
+    const { window, document } = parseHTML(html);
+
+    const data = await prerenderProjects({ window, root: ROOT, siteUrl });
+    if (data) projects = data;
+
+    pages.set(page, document);
+  }
+  return { pages, projects };
+}
+
+function checkPages(pages, projects) {
+  const idsByPage = new Map(
+    [...pages].map(([page, document]) => [
+      page,
+      new Set(Array.from(document.querySelectorAll("[id]"), (el) => el.id)),
+    ])
+  );
+
+  const problems = [];
+  for (const [page, document] of pages) {
+    [
+      ...findDuplicateIds(document),
+      ...findMissingAlt(document),
+      ...findBrokenSectionLinks({ page, document, idsByPage, projects }),
+      ...findMissingFiles({ document, root: ROOT }),
+    ].forEach((problem) => problems.push(`${page}: ${problem}`));
+  }
+
+  if (problems.length) throw new BuildError(problems);
+}
+
+// --------------------------------------------------------------------------
+// 3–4. Assets
+// --------------------------------------------------------------------------
+
+/**
+ * Write a fingerprinted copy of every local stylesheet and script the
+ * pages use.
+ *
+ * @returns {Promise<Map<string, string>>} source file → built file
+ */
+async function buildAssets(pages) {
+  const renamed = new Map();
+
+  const write = async (file, content) => {
+    const target = fingerprint(file, content);
+    await fs.mkdir(path.join(DIST, path.dirname(target)), { recursive: true });
+    await fs.writeFile(path.join(DIST, target), content);
+    renamed.set(file, target);
+  };
+
+  // 🎓 A module's imports are built first: their new names end up in the
+  // module's own content, and so in its fingerprint
+  const writeModule = async (file) => {
+    if (renamed.has(file)) return;
+    renamed.set(file, file); // guards against import cycles
+
+    const dir = path.posix.dirname(file);
+    const code = await fs.readFile(path.join(ROOT, file), "utf8");
+    await write(file, rewriteImports(code, await buildImports(code, dir)));
+  };
+
+  const buildImports = async (code, dir) => {
+    const specifiers = new Map();
+    for (const specifier of findImports(code)) {
+      const file = resolveImport(dir, specifier);
+      if (!file || !existsSync(path.join(ROOT, file))) continue;
+
+      await writeModule(file);
+      specifiers.set(specifier, toSpecifier(dir, renamed.get(file)));
+    }
+    return specifiers;
+  };
+
+  // ⚠️ Inline modules are rewritten in place, here: their imports are only
+  // known once the imported files have been built
+  for (const document of pages.values()) {
+    for (const link of document.querySelectorAll('link[rel="stylesheet"]')) {
+      const href = link.getAttribute("href");
+      if (!isLocal(href) || renamed.has(toFile(href))) continue;
+
+      const file = toFile(href);
+      await write(file, minifyCss(await bundleCss(path.join(ROOT, file))));
+    }
+
+    for (const script of document.querySelectorAll("script[src]")) {
+      const src = script.getAttribute("src");
+      if (!isLocal(src) || renamed.has(toFile(src))) continue;
+
+      const file = toFile(src);
+      if (script.getAttribute("type") === "module") {
+        await writeModule(file);
+      } else {
+        await write(file, await fs.readFile(path.join(ROOT, file)));
+      }
+    }
+
+    // <script type="module"> import { init } from "./assets/js/main.js"
+    for (const script of document.querySelectorAll(
+      'script[type="module"]:not([src])'
+    )) {
+      script.textContent = rewriteImports(
+        script.textContent,
+        await buildImports(script.textContent, ".")
+      );
+    }
+  }
+
+  return renamed;
+}
+
+/**
+ * Point every reference at the fingerprinted file, and swap the main
+ * stylesheet for inline critical CSS + a non-blocking <link>.
+ */
+function rewritePage(document, renamed, criticalCss) {
+  document.querySelectorAll("link[href], script[src]").forEach((el) => {
+    const attr = el.hasAttribute("src") ? "src" : "href";
+    const value = el.getAttribute(attr);
+    if (isLocal(value) && renamed.has(toFile(value))) {
+      el.setAttribute(attr, `./${renamed.get(toFile(value))}`);
+    }
+  });
+
+  const main = document.querySelector(
+    `link[rel="stylesheet"][href="./${renamed.get(MAIN_CSS)}"]`
+  );
+  if (!main) return;
+
+  const style = document.createElement("style");
+  style.textContent = criticalCss;
+  main.before(style);
+
+  // 🎓 media="print" downloads without blocking rendering; onload then
+  // applies it. <noscript> covers visitors without JavaScript.
+  const fallback = document.createElement("noscript");
+  fallback.innerHTML = main.outerHTML;
+  main.setAttribute("media", "print");
+  main.setAttribute("onload", "this.media='all'");
+  main.after(fallback);
+}
+
+/**
+ * 404.html is served at any missing address, so it sets its own <base>
+ * from `<meta name="site-root">`: the site's real folder, e.g.
+ * "/Loreky-Portfolio-Template/" for a GitHub Pages project site.
+ */
+function setSiteRoot(document, siteUrl) {
+  document
+    .querySelector('meta[name="site-root"]')
+    ?.setAttribute("content", new URL(siteUrl).pathname);
+}
+
+async function buildServiceWorker(renamed) {
+  let sw = await fs.readFile(path.join(ROOT, "sw.js"), "utf8");
+
+  const urls = [
+    "./",
+    ...PAGES.map((page) => `./${page}`),
+    "./manifest.json",
+    ...[...renamed.values()].map((file) => `./${file}`),
+  ];
+  for (const dir of STATIC_FILES.filter((file) => file.startsWith("assets/"))) {
+    for (const file of await listFiles(path.join(ROOT, dir))) {
+      urls.push(`./${path.relative(ROOT, file).split(path.sep).join("/")}`);
+    }
+  }
+
+  const list = urls.map((url) => `  ${JSON.stringify(url)},`).join("\n");
+  sw = sw.replace(
+    /const PRECACHE_URLS = \[[\s\S]*?\];/,
+    `const PRECACHE_URLS = [\n${list}\n];`
+  );
+  // New file names → new precache, so visitors get the update prompt
+  sw = sw.replace(
+    /const VERSION = "([^"]+)";/,
+    (match, version) => `const VERSION = "${version}-${hash(list)}";`
+  );
+
+  await fs.writeFile(path.join(DIST, "sw.js"), sw);
+}
+
+async function listFiles(dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const files = await Promise.all(
+    entries.map((entry) => {
+      const full = path.join(dir, entry.name);
+      return entry.isDirectory() ? listFiles(full) : [full];
+    })
+  );
+  return files.flat().filter((file) => !path.basename(file).startsWith("."));
+}
+
+// --------------------------------------------------------------------------
+// 5. Sitemap and robots.txt
+// --------------------------------------------------------------------------
+
+async function writeSeoFiles(siteUrl) {
+  const today = new Date().toISOString().slice(0, 10);
+
+  const sitemap = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url>
+    <loc>${siteUrl}</loc>
+    <lastmod>${today}</lastmod>
+  </url>
+</urlset>
+`;
+
+  const robots = `User-agent: *
+Allow: /
+Disallow: /offline.html
+
+Sitemap: ${siteUrl}sitemap.xml
+`;
+
+  await fs.writeFile(path.join(DIST, "sitemap.xml"), sitemap);
+  await fs.writeFile(path.join(DIST, "robots.txt"), robots);
+}
+
+// --------------------------------------------------------------------------
+// Run
+// --------------------------------------------------------------------------
+
+async function build() {
+  const started = Date.now();
+  const siteUrl = await readSiteUrl();
+
+  const { pages, projects } = await loadPages(siteUrl);
+  checkPages(pages, projects);
+  console.log("✅ Checks passed (ids, alt text, section links, files)");
+
+  await fs.rm(DIST, { recursive: true, force: true });
+  await fs.mkdir(DIST, { recursive: true });
+
+  const renamed = await buildAssets(pages);
+  const criticalCss = minifyCss(
+    (
+      await Promise.all(
+        CRITICAL_CSS.map((file) => fs.readFile(path.join(ROOT, file), "utf8"))
+      )
+    ).join("\n")
+  );
+
+  for (const [page, document] of pages) {
+    rewritePage(document, renamed, criticalCss);
+    setSiteRoot(document, siteUrl);
+    await fs.writeFile(path.join(DIST, page), document.toString());
+  }
+
+  for (const file of STATIC_FILES) {
+    await fs.cp(path.join(ROOT, file), path.join(DIST, file), {
+      recursive: true,
+      filter: (source) => !path.basename(source).startsWith("."),
+    });
+  }
+
+  await buildServiceWorker(renamed);
+  await writeSeoFiles(siteUrl);
+
+  console.log(
+    `📦 Built ${pages.size} pages and ${
+      renamed.size
+    } fingerprinted assets into dist/ (${Date.now() - started} ms)`
+  );
+}
+
+build().catch((error) => {
+  if (error instanceof BuildError) {
+    console.error(`\n❌ Build failed: ${error.message}\n`);
+    error.problems.forEach((problem) => console.error(`  • ${problem}`));
+    console.error("");
+  } else {
+    console.error("❌ Build failed:", error);
+  }
+  process.exitCode = 1;
+});
@@ -0,0 +1,126 @@
+// ==========================================================================
+// BUILD: CSS BUNDLING AND FINGERPRINTING
+// ==========================================================================
+
+/**
+ * 🎓 WHAT IS FINGERPRINTING?
+ * The built files get a short hash of their content in the name:
+ *
+ *   assets/js/main.js  →  assets/js/main.3f9a1c2e.js
+ *
+ * When a file changes, so does its name, so browsers and CDNs can cache
+ * these files "forever" and still never serve a stale copy: the HTML
+ * simply asks for the new name.
+ *
+ * 📐 CSS:
+ * index.css only @imports the other files. Browsers fetch those one after
+ * another, so the build inlines the imports into a single bundle first.
+ *
+ * 📐 ES MODULES:
+ * `import { init } from "./main.js"` names a file too, so fingerprinting
+ * main.js means rewriting that line (see findImports / rewriteImports).
+ */
+
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+
+/**
+ * @param {string|Buffer} content
+ * @returns {string} 8 hex characters
+ */
+export function hash(content) {
+  return crypto.createHash("sha256").update(content).digest("hex").slice(0, 8);
+}
+
+/**
+ * "assets/js/main.js" + content → "assets/js/main.3f9a1c2e.js"
+ *
+ * @param {string} file
+ * @param {string|Buffer} content
+ * @returns {string}
+ */
+export function fingerprint(file, content) {
+  const { dir, name, ext } = path.posix.parse(file);
+  return path.posix.join(dir, `${name}.${hash(content)}${ext}`);
+}
+
+/**
+ * Replace `@import url("x.css");` with the content of x.css (recursively).
+ *
+ * ⚠️ Only local imports are inlined; remote ones (e.g. Google Fonts) are
+ * kept as they are.
+ *
+ * @param {string} file - Absolute path of the stylesheet
+ * @param {Set<string>} [seen] - Guards against import loops
+ * @returns {Promise<string>}
+ */
+export async function bundleCss(file, seen = new Set()) {
+  if (seen.has(file)) return "";
+  seen.add(file);
+
+  const css = await fs.readFile(file, "utf8");
+  const importPattern = /@import\s+(?:url\()?["']([^"')]+)["']\)?\s*;/g;
+
+  let result = "";
+  let last = 0;
+  for (const match of css.matchAll(importPattern)) {
+    result += css.slice(last, match.index);
+    last = match.index + match[0].length;
+
+    const target = match[1];
+    if (/^([a-z]+:|\/\/)/i.test(target)) {
+      result += match[0];
+    } else {
+      result += await bundleCss(path.resolve(path.dirname(file), target), seen);
+    }
+  }
+  return result + css.slice(last);
+}
+
+/**
+ * Light minification: comments and extra whitespace go, nothing is
+ * rewritten. Safe for this project's CSS (no comment markers in strings).
+ *
+ * @param {string} css
+ * @returns {string}
+ */
+export function minifyCss(css) {
+  return css
+    .replace(/\/\*[\s\S]*?\*\//g, "")
+    .replace(/\s+/g, " ")
+    .replace(/\s*([{};,>])\s*/g, "$1")
+    .replace(/;}/g, "}")
+    .trim();
+}
+
+/**
+ * Static imports at the start of a line: `import { a } from "./a.js";`,
+ * `import "./b.js";` and `export { c } from "./c.js";`. Examples inside
+ * comments (" *   import …") and dynamic import() are left alone.
+ */
+const IMPORT_PATTERN =
+  /^(\s*(?:import|export)\b[^'";]*?\bfrom\s*|\s*import\s*)(["'])([^"']+)\2/gm;
+
+/**
+ * @param {string} code - ES module source
+ * @returns {string[]} The imported specifiers, e.g. ["./main.js"]
+ */
+export function findImports(code) {
+  return Array.from(code.matchAll(IMPORT_PATTERN), (match) => match[3]);
+}
+
+/**
+ * Replace import specifiers; those missing from `renamed` are kept.
+ *
+ * @param {string} code - ES module source
+ * @param {Map<string, string>} renamed - old specifier → new specifier
+ * @returns {string}
+ */
+export function rewriteImports(code, renamed) {
+  return code.replace(IMPORT_PATTERN, (match, before, quote, specifier) =>
+    renamed.has(specifier)
+      ? `${before}${quote}${renamed.get(specifier)}${quote}`
+      : match
+  );
+}
@@ -0,0 +1,180 @@
+// ==========================================================================
+// BUILD: CONTENT CHECKS
+// ==========================================================================
+
+/**
+ * Mistakes that are easy to make by hand and invisible until a visitor
+ * hits them. Every check returns a list of messages; the build prints them
+ * all and fails if there is at least one.
+ *
+ * 📐 WHAT IS CHECKED (on the final HTML, after pre-rendering):
+ * - Duplicate ids: anchors and aria-labelledby would point at the wrong one
+ * - Images without alt text: screen readers read out the file name instead
+ *   (mark purely decorative images with aria-hidden="true")
+ * - Links to sections that do not exist: "#contcat", "./index.html#abuot"
+ *   and project deep links to unknown categories or slugs
+ * - Local files (scripts, styles, icons, images) that are missing
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+
+/**
+ * A short, recognisable description of an element for error messages,
+ * e.g. `<img src="…/PORTADA.jpg"> in project "illustration/helian"`.
+ *
+ * @param {Element} el
+ * @returns {string}
+ */
+export function describe(el) {
+  const tag = el.tagName.toLowerCase();
+  const attr = el.hasAttribute("src") ? "src" : "href";
+  const value = el.getAttribute(attr);
+  // Long CDN URLs are shortened to the file name: "…/Copia de Kai.jpg"
+  const shown =
+    value && value.length > 60
+      ? `…/${decodeURIComponent(value.split(/[?#]/)[0].split("/").pop())}`
+      : value;
+  let text = shown ? `<${tag} ${attr}="${shown}">` : `<${tag}>`;
+
+  const card = el.closest("[data-project]");
+  if (card) {
+    const category = card.getAttribute("data-category");
+    text += ` in project "${category}/${card.getAttribute("data-project")}"`;
+  } else {
+    const section = el.closest("[id]");
+    if (section && section !== el) text += ` in #${section.id}`;
+  }
+  return text;
+}
+
+/**
+ * @param {Document} document
+ * @returns {string[]}
+ */
+export function findDuplicateIds(document) {
+  const counts = new Map();
+  document.querySelectorAll("[id]").forEach((el) => {
+    counts.set(el.id, (counts.get(el.id) || 0) + 1);
+  });
+
+  return [...counts]
+    .filter(([, count]) => count > 1)
+    .map(([id, count]) => `id "${id}" is used ${count} times`);
+}
+
+/**
+ * Images with a `src` need real alt text. Images without `src` (filled in
+ * by JavaScript, like the lightbox) and decorative images marked
+ * aria-hidden="true" or role="presentation" are skipped.
+ *
+ * @param {Document} document
+ * @returns {string[]}
+ */
+export function findMissingAlt(document) {
+  return Array.from(document.querySelectorAll("img[src]"))
+    .filter((img) => !img.closest('[aria-hidden="true"]'))
+    .filter(
+      (img) => !["presentation", "none"].includes(img.getAttribute("role"))
+    )
+    .filter((img) => !(img.getAttribute("alt") || "").trim())
+    .map((img) => `${describe(img)} has no alt text`);
+}
+
+/**
+ * Check every `#…` link against the ids of the page it points to.
+ *
+ * @param {object} options
+ * @param {string} options.page - File name of the page being checked
+ * @param {Document} options.document
+ * @param {Map<string, Set<string>>} options.idsByPage - Ids of every page
+ * @param {{categories: object[]}|null} options.projects - For deep links
+ * @returns {string[]}
+ */
+export function findBrokenSectionLinks({
+  page,
+  document,
+  idsByPage,
+  projects,
+}) {
+  const errors = [];
+
+  document.querySelectorAll("a[href*='#']").forEach((link) => {
+    const href = link.getAttribute("href");
+    if (/^[a-z]+:/i.test(href) || href.startsWith("//")) return; // external
+
+    const [file, hash] = href.split("#");
+    if (!hash) return; // "#" alone: a JavaScript trigger
+
+    // "" → this page; "./", "/" → the home page
+    const target = !file ? page : path.posix.basename(file) || "index.html";
+
+    const where = describe(link);
+
+    if (hash.startsWith("/")) {
+      const error = checkProjectRoute(hash, projects);
+      if (error) errors.push(`${where}: ${error}`);
+      return;
+    }
+
+    const ids = idsByPage.get(target);
+    if (!ids) {
+      errors.push(`${where} points to ${target}, which is not built`);
+    } else if (!ids.has(decodeURIComponent(hash))) {
+      errors.push(
+        `${where} points to a missing section (#${hash} in ${target})`
+      );
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * "#/projects/comic/volkov/view" → is there a comic category with a
+ * volkov project? (Same route format as router.js.)
+ *
+ * @returns {string|null} the problem, or null when the route is fine
+ */
+function checkProjectRoute(hash, projects) {
+  const [section, categoryId, slug] = hash.split("/").filter(Boolean);
+  if (section !== "projects" || !projects) return null;
+
+  const category = projects.categories.find((c) => c.id === categoryId);
+  if (!category) return `unknown project category "${categoryId}"`;
+  if (slug && !category.projects.some((p) => p.slug === slug)) {
+    return `unknown project "${categoryId}/${slug}"`;
+  }
+  return null;
+}
+
+/**
+ * Scripts, styles, icons and images that point at files which are not in
+ * the source folder.
+ *
+ * @param {object} options
+ * @param {Document} options.document
+ * @param {string} options.root - Source folder
+ * @returns {string[]}
+ */
+export function findMissingFiles({ document, root }) {
+  const refs = [
+    ...Array.from(
+      document.querySelectorAll("script[src], img[src], source[src]"),
+      (el) => [el, "src"]
+    ),
+    ...Array.from(document.querySelectorAll("link[href]"), (el) => [
+      el,
+      "href",
+    ]),
+  ];
+
+  return refs
+    .filter(([el, attr]) => {
+      const value = el.getAttribute(attr);
+      if (/^([a-z]+:|\/\/|#|data:)/i.test(value)) return false; // not local
+      const file = decodeURIComponent(value.split(/[?#]/)[0]);
+      return !fs.existsSync(path.join(root, file));
+    })
+    .map(([el]) => `${describe(el)} points to a file that does not exist`);
+}
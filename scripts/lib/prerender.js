@@ -0,0 +1,83 @@
+// ==========================================================================
+// BUILD: PRE-RENDER THE PROJECTS SECTION
+// ==========================================================================
+
+/**
+ * Runs the browser's own rendering code (projects.js) at build time, so
+ * the published index.html already contains every project card.
+ *
+ * 🎓 WHY RE-USE THE BROWSER CODE?
+ * A second, Node-only template would drift from projects.js the first time
+ * one of them changed. Instead, the same files run here inside a small
+ * fake DOM (linkedom), exactly as they would in a page.
+ *
+ * 📐 THE RESULT:
+ * The container gets the rendered categories and `data-prerendered`.
+ * main.js sees that attribute and only "hydrates" the markup (carousels,
+ * image fade-in) instead of fetching projects.json again.
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import vm from "node:vm";
+
+/** Browser scripts needed by renderProjects(), in load order. */
+const RENDER_SCRIPTS = [
+  "assets/js/i18n.js",
+  "assets/js/imagekit.js",
+  "assets/js/projects.js",
+];
+
+/**
+ * Render `[data-projects-src]` in a parsed page.
+ *
+ * @param {object} options
+ * @param {Window} options.window - linkedom window of the page
+ * @param {string} options.root - Source folder
+ * @param {string} options.siteUrl - Used as location.href by the scripts
+ * @returns {Promise<{categories: object[]}|null>} the project data, or
+ *   null when the page has no projects container
+ */
+export async function prerenderProjects({ window, root, siteUrl }) {
+  const { document } = window;
+  const container = document.querySelector("[data-projects-src]");
+  if (!container) return null;
+
+  const dataFile = path.join(root, container.getAttribute("data-projects-src"));
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(dataFile, "utf8"));
+  } catch (error) {
+    throw new Error(
+      `Could not read ${path.relative(root, dataFile)}: ${error.message}`
+    );
+  }
+
+  const context = vm.createContext({
+    window,
+    document,
+    location: new URL(siteUrl),
+    navigator: { languages: ["en"], language: "en" },
+    console,
+    URL,
+    CustomEvent: window.CustomEvent,
+    localStorage: null,
+  });
+
+  for (const file of RENDER_SCRIPTS) {
+    const code = await fs.readFile(path.join(root, file), "utf8");
+    vm.runInContext(code, context, { filename: file });
+  }
+
+  context.container = container;
+  context.data = data;
+  context.source = path.relative(root, dataFile);
+  // Same validation as in the browser, so bad data fails the build
+  vm.runInContext(
+    "renderProjects(container, validateProjects(data, source))",
+    context
+  );
+
+  container.setAttribute("data-prerendered", "");
+  return data;
+}
@@ -0,0 +1,211 @@
+// ==========================================================================
+// SERVICE WORKER (OFFLINE SUPPORT)
+// ==========================================================================
+
+/**
+ * Keeps the portfolio usable without a network connection.
+ *
+ * 🎓 WHAT THIS DOES:
+ * - PRECACHE: the page shell (HTML, CSS, JS, project data, favicons) is
+ *   downloaded once at install, so the site opens offline
+ * - RUNTIME CACHE: artwork from ImageKit is saved the first time it is seen,
+ *   in a cache that keeps only the most recently viewed images
+ * - OFFLINE FALLBACK: pages that were never cached get offline.html, styled
+ *   like the 404 page
+ *
+ * 📐 RELEASING A NEW VERSION:
+ * Bump VERSION whenever a precached file changes. Browsers install the new
+ * worker in the background; the page then shows "new version available"
+ * and the visitor decides when to reload (see initServiceWorker in main.js).
+ *
+ * ⚠️ This file must stay at the site root: a worker only controls pages at
+ * or below its own folder.
+ */
+
+const VERSION = "v23";
+const PRECACHE = `loreky-precache-${VERSION}`;
+const IMAGE_CACHE = "loreky-images";
+const MAX_IMAGES = 60;
+const OFFLINE_PAGE = "./offline.html";
+
+const PRECACHE_URLS = [
+  "./",
+  "./index.html",
+  "./404.html",
+  OFFLINE_PAGE,
+  "./manifest.json",
+  "./assets/css/index.css",
+  "./assets/css/reset.css",
+  "./assets/css/theme.css",
+  "./assets/css/base.css",
+  "./assets/css/navigation.css",
+  "./assets/css/layout.css",
+  "./assets/css/components.css",
+  "./assets/css/components2.css",
+  "./assets/css/lightbox.css",
+  "./assets/css/forms.css",
+  "./assets/css/toast.css",
+  "./assets/css/filters.css",
+  "./assets/css/grid.css",
+  "./assets/css/stats.css",
+  "./assets/css/reveal.css",
+  "./assets/css/progress.css",
+  "./assets/css/palette.css",
+  "./assets/css/print.css",
+  "./assets/css/edit.css",
+  "./assets/css/404.css",
+  "./assets/js/events.js",
+  "./assets/js/i18n.js",
+  "./assets/js/starfield.js",
+  "./assets/js/not-found.js",
+  "./assets/js/error-page.js",
+  "./assets/js/theme.js",
+  "./assets/js/scrollspy.js",
+  "./assets/js/scroll-reveal.js",
+  "./assets/js/imagekit.js",
+  "./assets/js/hero-carousel.js",
+  "./assets/js/star-rating.js",
+  "./assets/js/carousel.js",
+  "./assets/js/projects.js",
+  "./assets/js/project-filter.js",
+  "./assets/js/project-view.js",
+  "./assets/js/lightbox.js",
+  "./assets/js/router.js",
+  "./assets/js/edit-mode.js",
+  "./assets/js/print-catalogue.js",
+  "./assets/js/command-palette.js",
+  "./assets/js/contact-form.js",
+  "./assets/js/analytics.js",
+  "./assets/js/main.js",
+  "./assets/data/projects.json",
+  "./assets/i18n/en.json",
+  "./assets/i18n/es.json",
+  "./assets/favicon/favicon.ico",
+  "./assets/favicon/favicon.png",
+  "./assets/favicon/favicon-16x16.png",
+  "./assets/favicon/favicon-32x32.png",
+  "./assets/favicon/apple-touch-icon.png",
+  "./assets/favicon/android-chrome-192x192.png",
+  "./assets/favicon/android-chrome-512x512.png",
+];
+
+const isImageKit = (url) => url.hostname === "ik.imagekit.io";
+
+// --------------------------------------------------------------------------
+// Lifecycle
+// --------------------------------------------------------------------------
+
+self.addEventListener("install", (event) => {
+  // No skipWaiting() here: the page asks the visitor first
+  event.waitUntil(
+    caches.open(PRECACHE).then((cache) => cache.addAll(PRECACHE_URLS))
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  // Drop precaches from older versions (the image cache is kept)
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith("loreky-precache-"))
+            .filter((key) => key !== PRECACHE)
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+// Sent by the "Reload" button of the update prompt
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+// --------------------------------------------------------------------------
+// Routing
+// --------------------------------------------------------------------------
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+
+  if (request.mode === "navigate") {
+    event.respondWith(handleNavigation(request));
+  } else if (isImageKit(url)) {
+    event.respondWith(handleImage(request));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(handleAsset(request));
+  }
+  // Anything else (Google Fonts…) goes straight to the network
+});
+
+/**
+ * Pages: network first, so visitors online always get the latest HTML.
+ * Offline: the cached copy, or the offline page.
+ */
+async function handleNavigation(request) {
+  try {
+    return await fetch(request);
+  } catch {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    return cached || caches.match(OFFLINE_PAGE);
+  }
+}
+
+/**
+ * CSS, JS, data: cache first (they only change with VERSION).
+ */
+async function handleAsset(request) {
+  const cached = await caches.match(request, { ignoreSearch: true });
+  if (cached) return cached;
+
+  try {
+    return await fetch(request);
+  } catch {
+    return new Response("", { status: 503, statusText: "Offline" });
+  }
+}
+
+/**
+ * Artwork: cache first, with least-recently-used eviction.
+ *
+ * 🎓 HOW THE LRU WORKS:
+ * cache.keys() lists entries in the order they were added. Every time an
+ * image is used it is deleted and re-added, which moves it to the end.
+ * When the cache grows past MAX_IMAGES, the entries at the FRONT (the ones
+ * nobody has looked at for longest) are deleted.
+ *
+ * ⚠️ <img> requests to another domain come back "opaque" (status 0): we
+ * cannot read them, but we can store and replay them.
+ */
+async function handleImage(request) {
+  const cache = await caches.open(IMAGE_CACHE);
+  const cached = await cache.match(request);
+
+  if (cached) {
+    // Mark as recently used
+    await cache.delete(request);
+    await cache.put(request, cached.clone());
+    return cached;
+  }
+
+  const response = await fetch(request);
+  if (response.ok || response.type === "opaque") {
+    await cache.put(request, response.clone());
+    await trimCache(cache, MAX_IMAGES);
+  }
+  return response;
+}
+
+async function trimCache(cache, maxEntries) {
+  const keys = await cache.keys();
+  const excess = keys.length - maxEntries;
+  if (excess <= 0) return;
+
+  await Promise.all(keys.slice(0, excess).map((key) => cache.delete(key)));
+}